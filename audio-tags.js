@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+
+// ── Local audio tags ──────────────────────────────────────────────────────────
+// Just enough of ID3v2/ID3v1 (MP3), Vorbis comments (FLAC, Ogg) and RIFF INFO
+// (WAV) to name a dropped file: title, artist, album, year and BPM, plus the
+// duration where the header gives it cheaply. Anything unreadable is left
+// out rather than reported; the file name stands in for a missing title.
+
+const AUDIO_EXTENSIONS = ['.mp3', '.flac', '.wav', '.ogg'];
+const HEAD_BYTES = 256 * 1024;   // enough for tags without embedded artwork
+
+function readRange(fd, start, length) {
+  const buf = Buffer.alloc(Math.max(0, length));
+  const read = fs.readSync(fd, buf, 0, buf.length, start);
+  return buf.subarray(0, read);
+}
+
+const synchsafe = (b, i) => (b[i] << 21) | (b[i + 1] << 14) | (b[i + 2] << 7) | b[i + 3];
+
+// ID3v2 text frame: one encoding byte, then the text
+function decodeId3Text(buf) {
+  const enc = buf[0];
+  const body = buf.subarray(1);
+  let text;
+  if (enc === 1 || enc === 2) {
+    let bytes = body;
+    let le = enc === 1;
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) { le = true; bytes = bytes.subarray(2); }
+    else if (bytes[0] === 0xfe && bytes[1] === 0xff) { le = false; bytes = bytes.subarray(2); }
+    bytes = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+    if (!le) bytes.swap16();
+    text = bytes.toString('utf16le');
+  } else {
+    text = body.toString(enc === 3 ? 'utf8' : 'latin1');
+  }
+  return text.split('\0')[0].trim();
+}
+
+const ID3_FRAMES = {
+  TIT2: 'title', TPE1: 'artist', TALB: 'album', TYER: 'year', TDRC: 'year', TBPM: 'bpm', TLEN: 'length',
+  TT2: 'title', TP1: 'artist', TAL: 'album', TYE: 'year', TBP: 'bpm', TLE: 'length',
+};
+
+function parseId3v2(buf) {
+  const tags = {};
+  const version = buf[3];
+  const flags = buf[5];
+  const end = Math.min(buf.length, 10 + synchsafe(buf, 6));
+  let i = 10;
+  if (flags & 0x40) i += version === 4 ? synchsafe(buf, 10) : buf.readUInt32BE(10) + 4;  // extended header
+
+  const idLen = version === 2 ? 3 : 4;
+  const headLen = version === 2 ? 6 : 10;
+  while (i + headLen <= end) {
+    const id = buf.toString('latin1', i, i + idLen);
+    if (!/^[A-Z0-9]+$/.test(id)) break;                        // padding
+    const size = version === 2 ? buf.readUIntBE(i + 3, 3)
+      : version === 4 ? synchsafe(buf, i + 4) : buf.readUInt32BE(i + 4);
+    const key = ID3_FRAMES[id];
+    if (key && !tags[key]) tags[key] = decodeId3Text(buf.subarray(i + headLen, Math.min(end, i + headLen + size)));
+    i += headLen + size;
+  }
+  return tags;
+}
+
+function parseId3v1(buf) {
+  if (buf.length < 128 || buf.toString('latin1', 0, 3) !== 'TAG') return {};
+  const field = (from, to) => buf.toString('latin1', from, to).split('\0')[0].trim();
+  return { title: field(3, 33), artist: field(33, 63), album: field(63, 93), year: field(93, 97) };
+}
+
+const VORBIS_KEYS = { TITLE: 'title', ARTIST: 'artist', ALBUM: 'album', DATE: 'year', YEAR: 'year', BPM: 'bpm', TEMPO: 'bpm' };
+
+// Vendor string, then count-prefixed KEY=value comments, all little-endian
+function parseVorbisComments(buf, i) {
+  const tags = {};
+  if (i + 4 > buf.length) return tags;
+  i += 4 + buf.readUInt32LE(i);
+  if (i + 4 > buf.length) return tags;
+  const count = buf.readUInt32LE(i);
+  i += 4;
+  for (let n = 0; n < count && i + 4 <= buf.length; n++) {
+    const len = buf.readUInt32LE(i);
+    const comment = buf.toString('utf8', i + 4, Math.min(buf.length, i + 4 + len));
+    i += 4 + len;
+    const eq = comment.indexOf('=');
+    const key = VORBIS_KEYS[comment.slice(0, eq).toUpperCase()];
+    if (eq > 0 && key && !tags[key]) tags[key] = comment.slice(eq + 1).trim();
+  }
+  return tags;
+}
+
+function parseFlac(buf, start) {
+  let tags = {};
+  let i = start + 4;
+  for (let last = false; !last && i + 4 <= buf.length;) {
+    last = !!(buf[i] & 0x80);
+    const type = buf[i] & 0x7f;
+    const len = buf.readUIntBE(i + 1, 3);
+    const block = i + 4;
+    if (type === 0 && block + 18 <= buf.length) {
+      // STREAMINFO: 20-bit sample rate, then 36-bit total sample count
+      const rate = (buf[block + 10] << 12) | (buf[block + 11] << 4) | (buf[block + 12] >> 4);
+      const samples = (buf[block + 13] & 0x0f) * 2 ** 32 + buf.readUInt32BE(block + 14);
+      if (rate && samples) tags.seconds = samples / rate;
+    } else if (type === 4) {
+      tags = { ...parseVorbisComments(buf.subarray(0, block + len), block), ...tags };
+    }
+    i = block + len;
+  }
+  return tags;
+}
+
+function parseOgg(buf) {
+  // The comment header is the second packet: "\x03vorbis" or "OpusTags"
+  const vorbis = buf.indexOf('\x03vorbis', 0, 'latin1');
+  if (vorbis >= 0) return parseVorbisComments(buf, vorbis + 7);
+  const opus = buf.indexOf('OpusTags', 0, 'latin1');
+  return opus >= 0 ? parseVorbisComments(buf, opus + 8) : {};
+}
+
+const RIFF_INFO = { INAM: 'title', IART: 'artist', IPRD: 'album', ICRD: 'year' };
+
+// Walks the chunks straight from the file: LIST often sits after the audio data
+function parseWav(fd, size) {
+  let tags = {};
+  let byteRate = 0, dataSize = 0;
+  for (let i = 12; i + 8 <= size;) {
+    const head = readRange(fd, i, 8);
+    if (head.length < 8) break;
+    const id = head.toString('latin1', 0, 4);
+    const len = head.readUInt32LE(4);
+    if (id === 'fmt ') {
+      const fmt = readRange(fd, i + 8, 16);
+      if (fmt.length >= 12) byteRate = fmt.readUInt32LE(8);
+    } else if (id === 'data') {
+      dataSize = len;
+    } else if (id === 'LIST' && len < HEAD_BYTES) {
+      const list = readRange(fd, i + 8, len);
+      if (list.toString('latin1', 0, 4) === 'INFO') {
+        for (let j = 4; j + 8 <= list.length;) {
+          const sub = list.toString('latin1', j, j + 4);
+          const subLen = list.readUInt32LE(j + 4);
+          if (RIFF_INFO[sub]) tags[RIFF_INFO[sub]] = list.toString('utf8', j + 8, j + 8 + subLen).split('\0')[0].trim();
+          j += 8 + subLen + (subLen % 2);
+        }
+      }
+    } else if (id.toLowerCase() === 'id3 ' && len < HEAD_BYTES) {
+      const id3 = readRange(fd, i + 8, len);
+      if (id3.toString('latin1', 0, 3) === 'ID3') tags = { ...parseId3v2(id3), ...tags };
+    }
+    i += 8 + len + (len % 2);
+  }
+  if (byteRate && dataSize) tags.seconds = dataSize / byteRate;
+  return tags;
+}
+
+// { title, artist, album, year, bpm, duration } — any of them may be missing
+function readAudioTags(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    let head = readRange(fd, 0, HEAD_BYTES);
+    let tags = {};
+    const ext = path.extname(filePath).toLowerCase();
+
+    let offset = 0;
+    if (head.toString('latin1', 0, 3) === 'ID3') {
+      const tagSize = 10 + synchsafe(head, 6);
+      if (tagSize > head.length - 64) head = readRange(fd, 0, Math.min(tagSize, 16 * 1024 * 1024) + HEAD_BYTES);
+      tags = parseId3v2(head);
+      offset = tagSize;
+    }
+    if (ext === '.flac') {
+      const start = head.indexOf('fLaC', offset, 'latin1');
+      if (start >= 0) tags = { ...parseFlac(head, start), ...tags };
+    } else if (ext === '.ogg') {
+      tags = { ...parseOgg(head), ...tags };
+    } else if (ext === '.wav' && head.toString('latin1', 0, 4) === 'RIFF') {
+      tags = { ...parseWav(fd, size), ...tags };
+    } else if (ext === '.mp3' && size >= 128 && (!tags.title || !tags.artist)) {
+      tags = { ...parseId3v1(readRange(fd, size - 128, 128)), ...tags };
+    }
+
+    const bpm = Math.round(parseFloat(tags.bpm));
+    const year = parseInt((tags.year || '').match(/\d{4}/)?.[0], 10);
+    const seconds = tags.seconds || (parseInt(tags.length, 10) / 1000);
+    return {
+      title: tags.title || null,
+      artist: tags.artist || null,
+      album: tags.album || null,
+      year: year || null,
+      bpm: bpm || null,
+      duration: seconds > 0 ? Math.round(seconds) : null,
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = { AUDIO_EXTENSIONS, readAudioTags };
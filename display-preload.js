@@ -0,0 +1,6 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// The audience display only listens; it can't reach the library or Spotify
+contextBridge.exposeInMainWorld('display', {
+  onState:         (cb)                      => ipcRenderer.on('display-state', (_, state) => cb(state)),
+});
@@ -0,0 +1,70 @@
+// ── Audience display ──────────────────────────────────────────────────────────
+// Renders whatever the main window last sent: { track, isPlaying, positionMs,
+// durationMs, next, fields }. The remaining time is counted down locally
+// between updates so it doesn't jump every poll.
+
+let state      = null;
+let receivedAt = 0;             // Date.now() when state arrived
+
+function esc(str) {
+  return String(str || '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Unlike the main window's fmtDuration, 0 shows as 0:00: the track has ended
+function fmtDuration(secs) {
+  const m = Math.floor(secs / 60);
+  const s = String(secs % 60).padStart(2, '0');
+  return `${m}:${s}`;
+}
+
+function render() {
+  const track = state?.track;
+  document.getElementById('display').classList.toggle('hidden', !track);
+  document.getElementById('displayIdle').classList.toggle('hidden', !!track);
+  if (!track) return;
+
+  const { fields, next } = state;
+  document.getElementById('displayName').textContent = track.name;
+  const artistEl = document.getElementById('displayArtist');
+  artistEl.textContent = track.artist || '';
+  artistEl.classList.toggle('hidden', !fields.artist || !track.artist);
+
+  document.getElementById('displayBpm').textContent = track.bpm || '';
+  document.getElementById('displayBpmStat').classList.toggle('hidden', !fields.bpm || !track.bpm);
+  document.getElementById('displayRemainingStat').classList.toggle('hidden', !fields.remaining || !state.durationMs);
+  renderRemaining();
+
+  const nextEl = document.getElementById('displayNext');
+  nextEl.classList.toggle('hidden', !fields.next || !next);
+  if (next) {
+    const extra = [fields.artist && next.artist, fields.bpm && next.bpm && `${next.bpm} BPM`].filter(Boolean);
+    document.getElementById('displayNextName').innerHTML =
+      `${esc(next.name)}${extra.length ? ` <span>· ${esc(extra.join(' · '))}</span>` : ''}`;
+  }
+}
+
+function renderRemaining() {
+  if (!state?.durationMs) return;
+  const pos = state.positionMs + (state.isPlaying ? Date.now() - receivedAt : 0);
+  const rem = Math.max(0, state.durationMs - pos);
+  document.getElementById('displayRemaining').textContent = fmtDuration(Math.floor(rem / 1000));
+}
+
+window.display.onState(s => {
+  state = s;
+  receivedAt = Date.now();
+  render();
+});
+
+setInterval(renderRemaining, 250);
+
+// Double-click toggles full screen, for when the window was opened on the
+// DJ's own screen and dragged across
+document.addEventListener('dblclick', () => {
+  if (document.fullscreenElement) document.exitFullscreen();
+  else document.documentElement.requestFullscreen();
+});
+
+render();
@@ -1,7 +1,10 @@
-const { app, BrowserWindow, ipcMain, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, dialog, safeStorage, screen } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const https = require('https');
+const crypto = require('crypto');
+const spotify = require('./spotify-api');
+const { AUDIO_EXTENSIONS, readAudioTags } = require('./audio-tags');
+const requestServer = require('./request-server');
 
 // ── Data helpers ──────────────────────────────────────────────────────────────
 
@@ -13,28 +16,415 @@ function getConfigPath() {
   return path.join(app.getPath('userData'), 'config.json');
 }
 
-function loadTracks() {
+function getSetsPath() {
+  return path.join(app.getPath('userData'), 'sets.json');
+}
+
+function getHistoryPath() {
+  return path.join(app.getPath('userData'), 'history.json');
+}
+
+function getBackupDir() {
+  return path.join(app.getPath('userData'), 'backups');
+}
+
+// Writes to a temp file and renames it over the target, so a crash mid-write
+// leaves either the old file or the new one, never a torn mix of both.
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+// Starter tags for a fresh library; users can recolour, rename or delete them
+const DEFAULT_TAGS = [
+  { name: 'Lindy',        group: 'Style', color: '#c9952a' },
+  { name: 'Balboa',       group: 'Style', color: '#4caf74' },
+  { name: 'Blues',        group: 'Style', color: '#5b8dd9' },
+  { name: 'Charleston',   group: 'Style', color: '#d97a3a' },
+  { name: 'Shag',         group: 'Style', color: '#b565c9' },
+  { name: '1930s',        group: 'Era',   color: '#8a7a5c' },
+  { name: '1940s',        group: 'Era',   color: '#8a7a5c' },
+  { name: '1950s',        group: 'Era',   color: '#8a7a5c' },
+  { name: 'Modern',       group: 'Era',   color: '#8a7a5c' },
+  { name: 'Big band',     group: 'Band',  color: '#6d8a8a' },
+  { name: 'Small combo',  group: 'Band',  color: '#6d8a8a' },
+  { name: 'Vocal',        group: 'Voice', color: '#c0392b' },
+  { name: 'Instrumental', group: 'Voice', color: '#7a7060' },
+];
+
+// ── Track schema ──────────────────────────────────────────────────────────────
+// Every field a stored track may carry. Only `editable` fields can be changed
+// through update-track; the rest are set when the track is created (tags go
+// through tag-tracks). Spotify tracks need a spotifyUri, local files a
+// filePath; checkTrack enforces whichever applies.
+
+const TRACK_SCHEMA = {
+  id:         { label: 'Spotify id',   type: 'string', required: true, pattern: /^[A-Za-z0-9]+$/ },
+  name:       { label: 'Name',         type: 'string', required: true, maxLength: 500 },
+  artist:     { label: 'Artist',       type: 'string', maxLength: 500 },
+  album:      { label: 'Album',        type: 'string', maxLength: 500 },
+  duration:   { label: 'Duration',     type: 'integer', nullable: true, min: 0, max: 24 * 3600 },
+  bpm:        { label: 'BPM',          type: 'integer', nullable: true, min: 40, max: 400, editable: true },
+  energy:     { label: 'Energy',       type: 'number',  nullable: true, min: 0, max: 1 },
+  spotifyUri: { label: 'Spotify URI',  type: 'string', pattern: /^spotify:track:[A-Za-z0-9]+$/ },
+  addedAt:    { label: 'Added',        type: 'string' },
+  notes:      { label: 'Notes',        type: 'string', maxLength: 10000, editable: true },
+  tags:       { label: 'Tags',         type: 'array' },
+  introSkip:  { label: 'Intro skip',   type: 'integer', nullable: true, min: 0, max: 24 * 3600, editable: true },
+  cues:       { label: 'Cue points',   type: 'cues',    nullable: true, editable: true },  // [{ name, position }], position in ms
+  source:     { label: 'Source',       type: 'string', values: ['spotify', 'local'] },        // missing means spotify
+  filePath:   { label: 'File',         type: 'string', maxLength: 4096 },
+
+  // Spotify metadata, filled in when Spotify has it
+  key:             { label: 'Key',              type: 'integer', nullable: true, min: 0, max: 11 },  // pitch class, C = 0
+  mode:            { label: 'Mode',             type: 'integer', nullable: true, min: 0, max: 1 },   // 1 major, 0 minor
+  timeSignature:   { label: 'Time signature',   type: 'integer', nullable: true, min: 1, max: 12 },  // beats per bar
+  tempoConfidence: { label: 'Tempo confidence', type: 'number',  nullable: true, min: 0, max: 1 },
+  danceability:    { label: 'Danceability',     type: 'number',  nullable: true, min: 0, max: 1 },
+  valence:         { label: 'Valence',          type: 'number',  nullable: true, min: 0, max: 1 },
+  releaseYear:     { label: 'Release year',     type: 'integer', nullable: true, min: 1000, max: 9999 },
+  popularity:      { label: 'Popularity',       type: 'integer', nullable: true, min: 0, max: 100 },
+  explicit:        { label: 'Explicit',         type: 'boolean', nullable: true },
+
+  // Set by refresh-library
+  availability:    { label: 'Availability',     type: 'string', values: ['ok', 'unavailable', 'relinked', 'removed'] },
+  relinkedId:      { label: 'Relinked id',      type: 'string', pattern: /^[A-Za-z0-9]+$/ },
+  checkedAt:       { label: 'Last checked',     type: 'string' },
+};
+
+const MAX_CUES = 50;
+
+const METADATA_FIELDS = ['key', 'mode', 'timeSignature', 'tempoConfidence', 'danceability', 'valence',
+  'releaseYear', 'popularity', 'explicit'];
+
+// Error message for a bad value, or null when it fits the schema
+function checkField(field, value) {
+  const spec = TRACK_SCHEMA[field];
+  if (!spec) return `Unknown field "${field}".`;
+  if (value == null || value === '') {
+    if (spec.required) return `${spec.label} is required.`;
+    if (value == null && !spec.nullable && spec.type !== 'string') return `${spec.label} can't be empty.`;
+    return null;
+  }
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${spec.label} must be text.`;
+      if (spec.maxLength && value.length > spec.maxLength) return `${spec.label} is too long.`;
+      if (spec.pattern && !spec.pattern.test(value)) return `${spec.label} is not valid.`;
+      if (spec.values && !spec.values.includes(value)) return `${spec.label} is not valid.`;
+      return null;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${spec.label} must be a number.`;
+      if (spec.type === 'integer' && !Number.isInteger(value)) return `${spec.label} must be a whole number.`;
+      if (value < spec.min || value > spec.max) return `${spec.label} must be between ${spec.min} and ${spec.max}.`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${spec.label} must be yes or no.`;
+    case 'array':
+      return Array.isArray(value) && value.every(v => typeof v === 'string') ? null : `${spec.label} must be a list.`;
+    case 'cues':
+      if (!Array.isArray(value)) return `${spec.label} must be a list.`;
+      if (value.length > MAX_CUES) return `A track can have at most ${MAX_CUES} cue points.`;
+      return value.every(c => c && typeof c.name === 'string' && c.name.length <= 100 &&
+        Number.isInteger(c.position) && c.position >= 0 && c.position <= 24 * 3600 * 1000)
+        ? null : `${spec.label} are not valid.`;
+  }
+  return null;
+}
+
+// First schema error in a whole track, or null
+function checkTrack(track) {
+  for (const field of Object.keys(TRACK_SCHEMA)) {
+    const error = checkField(field, track[field]);
+    if (error) return error;
+  }
+  if (isLocalTrack(track)) return track.filePath ? null : `${TRACK_SCHEMA.filePath.label} is required.`;
+  return track.spotifyUri ? null : `${TRACK_SCHEMA.spotifyUri.label} is required.`;
+}
+
+function isLocalTrack(track) {
+  return track.source === 'local';
+}
+
+// ── Library file ──────────────────────────────────────────────────────────────
+// tracks.json holds { schemaVersion, tags, tracks }. MIGRATIONS[n] upgrades a
+// version-n file to n + 1; a bare array of tracks (the original format) is
+// version 0 and files without a schemaVersion are version 1. Upgraded files
+// are written straight back so seeded tag ids stay stable between calls; if
+// that write fails the read still returns the upgraded data, and the upgrade
+// is tried again next time.
+
+const SCHEMA_VERSION = 2;
+
+const MIGRATIONS = [
+  // 0 → 1: wrap the bare array and seed the starter tags
+  tracks => ({ tags: DEFAULT_TAGS.map(t => ({ id: crypto.randomUUID(), ...t })), tracks }),
+
+  // 1 → 2: coerce stray values left by the unchecked update-track
+  data => ({
+    ...data,
+    tags: data.tags || [],
+    tracks: (data.tracks || []).filter(t => t && t.id).map(t => {
+      const track = { ...t, tags: Array.isArray(t.tags) ? t.tags : [] };
+      ['duration', 'bpm', 'introSkip'].forEach(f => {
+        if (track[f] == null) return;
+        const n = Math.round(Number(track[f]));
+        track[f] = checkField(f, n) ? null : n;
+      });
+      if (track.energy != null && checkField('energy', Number(track.energy))) track.energy = null;
+      else if (track.energy != null) track.energy = Number(track.energy);
+      if (typeof track.notes !== 'string') track.notes = track.notes == null ? '' : String(track.notes);
+      track.spotifyUri = `spotify:track:${track.id}`;
+      return track;
+    }),
+  }),
+];
+
+// Set while tracks.json exists but can't be parsed. Saves are refused until
+// the user restores a backup, so the damaged file is never overwritten with
+// an empty library.
+let libraryDamaged = null;
+
+// The tracks last read from or written to tracks.json, so the request page
+// can search without reading the file on every keystroke
+let cachedTracks = null;
+
+function loadLibrary() {
+  let data;
   try {
-    return JSON.parse(fs.readFileSync(getDataPath(), 'utf8'));
+    data = JSON.parse(fs.readFileSync(getDataPath(), 'utf8'));
+    if (!data || typeof data !== 'object') throw new Error('Not a library file');
+    libraryDamaged = null;
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      if (!libraryDamaged) console.error('tracks.json is damaged:', err.message);
+      libraryDamaged = { error: err.message };
+      cachedTracks = [];
+      return { schemaVersion: SCHEMA_VERSION, tags: [], tracks: [] };
+    }
+    data = [];
+  }
+  const from = Array.isArray(data) ? 0 : data.schemaVersion || 1;
+  for (let v = from; v < SCHEMA_VERSION; v++) data = MIGRATIONS[v](data);
+  if (from < SCHEMA_VERSION) {
+    data.schemaVersion = SCHEMA_VERSION;
+    try {
+      saveLibrary(data);
+    } catch (err) {
+      console.error('Could not save the upgraded library:', err.message);
+    }
+  }
+  cachedTracks = data.tracks;
+  return data;
+}
+
+function saveLibrary(library) {
+  if (libraryDamaged) throw new Error('Your library file is damaged. Restore it from a backup in Settings first.');
+  backupLibrary();
+  writeJsonAtomic(getDataPath(), { schemaVersion: SCHEMA_VERSION, ...library });
+  cachedTracks = library.tracks;
+}
+
+// ── Backups ───────────────────────────────────────────────────────────────────
+// Before tracks.json is overwritten, the current file is copied to
+// backups/tracks-<ISO timestamp>.json, at most once per BACKUP_INTERVAL_MS.
+// Only the newest BACKUP_KEEP copies are kept.
+
+const BACKUP_KEEP        = 10;
+const BACKUP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Backup file names, newest first (ISO timestamps sort as text)
+function listBackupFiles() {
+  try {
+    return fs.readdirSync(getBackupDir()).filter(f => /^tracks-.+\.json$/.test(f)).sort().reverse();
   } catch {
     return [];
   }
 }
 
+function backupLibrary(force = false) {
+  const src = getDataPath();
+  if (libraryDamaged || !fs.existsSync(src)) return null;
+  const dir = getBackupDir();
+  const files = listBackupFiles();
+  if (!force && files.length && Date.now() - fs.statSync(path.join(dir, files[0])).mtimeMs < BACKUP_INTERVAL_MS) return null;
+
+  fs.mkdirSync(dir, { recursive: true });
+  const name = `tracks-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+  fs.copyFileSync(src, path.join(dir, name));
+  files.slice(BACKUP_KEEP - 1).forEach(f => fs.unlinkSync(path.join(dir, f)));
+  return name;
+}
+
+// Summary of a backup for the restore screen; ok is false if it won't parse
+function describeBackup(name) {
+  const file = path.join(getBackupDir(), name);
+  const { mtime, size } = fs.statSync(file);
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const tracks = Array.isArray(data) ? data : data.tracks || [];
+    return { name, createdAt: mtime.toISOString(), size, tracks: tracks.length, ok: true };
+  } catch {
+    return { name, createdAt: mtime.toISOString(), size, tracks: 0, ok: false };
+  }
+}
+
+function loadTracks() {
+  return loadLibrary().tracks;
+}
+
 function saveTracks(tracks) {
-  fs.writeFileSync(getDataPath(), JSON.stringify(tracks, null, 2));
+  saveLibrary({ ...loadLibrary(), tracks });
 }
 
+// Plaintext secrets left by older versions are encrypted on first read,
+// as soon as a key is available (OS keychain, or an unlocked passphrase).
 function loadConfig() {
+  let cfg;
   try {
-    return JSON.parse(fs.readFileSync(getConfigPath(), 'utf8'));
+    cfg = JSON.parse(fs.readFileSync(getConfigPath(), 'utf8'));
   } catch {
     return {};
   }
+  if (hasPlaintextSecrets(cfg) && canEncrypt()) {
+    for (const field of SECRET_FIELDS) {
+      if (cfg[field] && !isEncrypted(cfg[field])) setSecret(cfg, field, cfg[field]);
+    }
+    saveConfig(cfg);
+  }
+  return cfg;
 }
 
 function saveConfig(config) {
-  fs.writeFileSync(getConfigPath(), JSON.stringify(config, null, 2));
+  writeJsonAtomic(getConfigPath(), config);
+}
+
+// ── Secret storage ────────────────────────────────────────────────────────────
+// clientSecret, accessToken and refreshToken never touch disk in the clear.
+// Values are stored as 'enc:os:<base64>' when Electron's safeStorage can use
+// the OS keychain, otherwise as 'enc:pass:<base64 iv|tag|ciphertext>' under
+// AES-256-GCM with a key derived from a user passphrase. That key only ever
+// lives in memory, so after a restart the secrets stay locked until the
+// passphrase is entered again in Settings.
+
+const SECRET_FIELDS = ['clientSecret', 'accessToken', 'refreshToken'];
+const PASSPHRASE_CHECK = 'swingdj';
+
+let secretKey = null;
+
+class SecretsLockedError extends Error {
+  constructor(message = 'Stored credentials are locked. Open Settings and enter your passphrase.') {
+    super(message);
+    this.name = 'SecretsLockedError';
+  }
+}
+
+function osEncryptionAvailable() {
+  return safeStorage.isEncryptionAvailable();
+}
+
+function canEncrypt() {
+  return osEncryptionAvailable() || !!secretKey;
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith('enc:');
+}
+
+function hasPlaintextSecrets(cfg) {
+  return SECRET_FIELDS.some(f => cfg[f] && !isEncrypted(cfg[f]));
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32);
+}
+
+function encryptWithKey(key, plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64');
+}
+
+function decryptWithKey(key, encoded) {
+  const raw = Buffer.from(encoded, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, 12));
+  decipher.setAuthTag(raw.subarray(12, 28));
+  return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+}
+
+function encryptSecret(plain) {
+  if (osEncryptionAvailable()) return 'enc:os:' + safeStorage.encryptString(plain).toString('base64');
+  if (secretKey) return 'enc:pass:' + encryptWithKey(secretKey, plain);
+  throw new SecretsLockedError('Secure storage is unavailable on this computer. Set a passphrase in Settings first.');
+}
+
+function decryptSecret(stored) {
+  if (stored.startsWith('enc:os:')) {
+    if (!osEncryptionAvailable()) throw new Error('The system keychain is unavailable; re-enter your Spotify credentials in Settings.');
+    return safeStorage.decryptString(Buffer.from(stored.slice(7), 'base64'));
+  }
+  if (stored.startsWith('enc:pass:')) {
+    if (!secretKey) throw new SecretsLockedError();
+    return decryptWithKey(secretKey, stored.slice(9));
+  }
+  return stored;
+}
+
+// Decrypted value of a secret field, or null when it isn't set. Throws when
+// the value exists but can't be read yet.
+function getSecret(cfg, field) {
+  return cfg[field] ? decryptSecret(cfg[field]) : null;
+}
+
+function setSecret(cfg, field, value) {
+  if (value) cfg[field] = encryptSecret(value);
+  else delete cfg[field];
+}
+
+// 'os' when the keychain is used, 'passphrase' for the fallback. locked is
+// true while passphrase-protected secrets are waiting to be unlocked.
+function secretStatus(cfg) {
+  const mode = osEncryptionAvailable() ? 'os' : 'passphrase';
+  return {
+    mode,
+    hasPassphrase: !!cfg.passphraseCheck,
+    locked: mode === 'passphrase' && !!cfg.passphraseCheck && !secretKey,
+    plaintext: hasPlaintextSecrets(cfg),
+  };
+}
+
+function loadSets() {
+  try {
+    return JSON.parse(fs.readFileSync(getSetsPath(), 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+function saveSets(sets) {
+  writeJsonAtomic(getSetsPath(), sets);
+}
+
+function loadHistory() {
+  try {
+    const data = JSON.parse(fs.readFileSync(getHistoryPath(), 'utf8'));
+    return { sessions: data.sessions || [], plays: data.plays || [], currentSessionId: data.currentSessionId || null };
+  } catch {
+    return { sessions: [], plays: [], currentSessionId: null };
+  }
+}
+
+function saveHistory(history) {
+  writeJsonAtomic(getHistoryPath(), history);
 }
 
 // ── Window ────────────────────────────────────────────────────────────────────
@@ -56,6 +446,7 @@ function createWindow() {
   });
 
   win.loadFile('index.html');
+  win.on('closed', () => displayWin?.close());
 }
 
 app.whenReady().then(createWindow);
@@ -68,35 +459,155 @@ app.on('activate', () => {
   if (BrowserWindow.getAllWindows().length === 0) createWindow();
 });
 
+app.on('will-quit', () => requestServer.stop());
+
 // ── IPC handlers ──────────────────────────────────────────────────────────────
 
+// For handlers that write the library. saveLibrary throws while tracks.json
+// is damaged; that (or any other failure) comes back as { error } so the
+// renderer can show it instead of getting a rejected invoke.
+function handleLibraryWrite(channel, handler) {
+  ipcMain.handle(channel, async (...args) => {
+    try {
+      return await handler(...args);
+    } catch (err) {
+      return { error: err.message };
+    }
+  });
+}
+
 ipcMain.handle('get-tracks', () => loadTracks());
 
+// Field labels and bounds, so the renderer's controls match what can be stored
+ipcMain.handle('get-track-schema', () => Object.fromEntries(Object.entries(TRACK_SCHEMA).map(([field, def]) =>
+  [field, { label: def.label, type: def.type, min: def.min ?? null, max: def.max ?? null }])));
+
+// Small UI preferences (panel toggles, suggestion rules…) kept in config.json
+ipcMain.handle('get-prefs', () => loadConfig().prefs || {});
+
+ipcMain.handle('save-prefs', (_, patch) => {
+  const cfg = loadConfig();
+  cfg.prefs = { ...(cfg.prefs || {}), ...patch };
+  saveConfig(cfg);
+  return { success: true, prefs: cfg.prefs };
+});
+
+// The secret itself never goes back to the renderer; Settings only needs to
+// know whether one is stored.
 ipcMain.handle('get-credentials', () => {
   const cfg = loadConfig();
-  return { clientId: cfg.clientId || '', clientSecret: cfg.clientSecret || '' };
+  return {
+    clientId: cfg.clientId || '',
+    hasClientSecret: !!cfg.clientSecret,
+    authMode: authMode(cfg),
+    ...secretStatus(cfg),
+  };
 });
 
-ipcMain.handle('save-credentials', (_, { clientId, clientSecret }) => {
+// A blank clientSecret keeps the one already stored. Switching to PKCE drops
+// the secret altogether; it's no longer needed. Switching modes either way
+// logs the user out.
+ipcMain.handle('save-credentials', (_, { clientId, clientSecret, authMode: mode = 'secret' }) => {
   const cfg = loadConfig();
-  cfg.clientId = clientId;
-  cfg.clientSecret = clientSecret;
+  if (mode === 'secret' && !clientSecret && !cfg.clientSecret) return { error: 'A Client Secret is required.' };
+  try {
+    // Refresh tokens are bound to the flow that issued them
+    if (authMode(cfg) !== mode) {
+      delete cfg.accessToken;
+      delete cfg.refreshToken;
+      delete cfg.tokenExpiry;
+    }
+    cfg.clientId = clientId;
+    cfg.authMode = mode;
+    if (mode === 'pkce') delete cfg.clientSecret;
+    else if (clientSecret) setSecret(cfg, 'clientSecret', clientSecret);
+  } catch (err) {
+    return { error: err.message };
+  }
   saveConfig(cfg);
+  spotify.clearTokenCache();
   return { success: true };
 });
 
-ipcMain.handle('save-track', async (_, rawUri) => {
-  const uri = (rawUri || '').trim();
+ipcMain.handle('unlock-secrets', (_, passphrase) => {
+  const cfg = loadConfig();
+  if (!cfg.passphraseCheck) return { error: 'No passphrase has been set.' };
+  const key = deriveKey(passphrase || '', cfg.passphraseSalt);
+  try {
+    if (decryptWithKey(key, cfg.passphraseCheck) !== PASSPHRASE_CHECK) throw new Error();
+  } catch {
+    return { error: 'Wrong passphrase.' };
+  }
+  secretKey = key;
+  loadConfig(); // encrypts any plaintext left over from older versions
+  return { success: true };
+});
 
-  // Parse track ID from spotify:track:ID or https://open.spotify.com/track/ID
-  let trackId = null;
-  if (uri.startsWith('spotify:track:')) {
-    trackId = uri.split(':')[2];
-  } else {
-    const m = uri.match(/open\.spotify\.com\/track\/([A-Za-z0-9]+)/);
-    if (m) trackId = m[1];
+// Sets or changes the fallback passphrase, re-encrypting every
+// passphrase-protected secret under the new key.
+ipcMain.handle('set-passphrase', (_, passphrase) => {
+  if (!passphrase || passphrase.length < 6) return { error: 'Use a passphrase of at least 6 characters.' };
+  const cfg = loadConfig();
+  if (cfg.passphraseCheck && !secretKey) return { error: 'Unlock with the current passphrase first.' };
+
+  let plain;
+  try {
+    plain = Object.fromEntries(SECRET_FIELDS.map(f => [f, getSecret(cfg, f)]));
+  } catch (err) {
+    return { error: err.message };
   }
+  const salt = crypto.randomBytes(16).toString('base64');
+  secretKey = deriveKey(passphrase, salt);
+  cfg.passphraseSalt = salt;
+  cfg.passphraseCheck = encryptWithKey(secretKey, PASSPHRASE_CHECK);
+  for (const f of SECRET_FIELDS) setSecret(cfg, f, plain[f]);
+  saveConfig(cfg);
+  return { success: true };
+});
+
+// Library record from a Spotify track object and (optional) audio features.
+// Album tracks come without their album, so the album object can be passed
+// in separately. Values Spotify doesn't have, or that fall outside the
+// schema, are stored as null. Tempo confidence is left empty: it only comes
+// with Spotify's audio analysis, megabytes per track, so it is only measured
+// for local files.
+function buildTrack(trackData, features, album = trackData.album) {
+  const fit = (field, value) => (value == null || checkField(field, value) ? null : value);
+  const year = parseInt((album?.release_date || '').slice(0, 4), 10);
+  return {
+    id: trackData.id,
+    name: trackData.name,
+    artist: trackData.artists.map(a => a.name).join(', '),
+    album: album?.name || '',
+    duration: Math.round(trackData.duration_ms / 1000),
+    bpm: fit('bpm', features && features.tempo ? Math.round(features.tempo) : null),
+    energy: features ? features.energy : null,
+    spotifyUri: `spotify:track:${trackData.id}`,
+    addedAt: new Date().toISOString(),
+    notes: '',
+    tags: [],
+    key: fit('key', features?.key),             // -1 (no key detected) becomes null
+    mode: fit('mode', features?.mode),
+    timeSignature: fit('timeSignature', features?.time_signature),
+    tempoConfidence: null,
+    danceability: fit('danceability', features?.danceability),
+    valence: fit('valence', features?.valence),
+    releaseYear: fit('releaseYear', year || null),
+    popularity: fit('popularity', trackData.popularity),
+    explicit: typeof trackData.explicit === 'boolean' ? trackData.explicit : null,
+  };
+}
 
+// Track ID from spotify:track:ID or https://open.spotify.com/track/ID, or null
+function parseTrackId(rawUri) {
+  const uri = (rawUri || '').trim();
+  if (uri.startsWith('spotify:track:')) return uri.split(':')[2] || null;
+  const m = uri.match(/open\.spotify\.com\/track\/([A-Za-z0-9]+)/);
+  return m ? m[1] : null;
+}
+
+ipcMain.handle('save-track', async (_, rawUri) => {
+  const trackId = parseTrackId(rawUri);
   if (!trackId) return { error: 'Not a valid Spotify track link or URI.' };
 
   // Check for duplicate
@@ -106,29 +617,19 @@ ipcMain.handle('save-track', async (_, rawUri) => {
   }
 
   const cfg = loadConfig();
-  if (!cfg.clientId || !cfg.clientSecret) {
+  if (!cfg.clientId) {
     return { error: 'No Spotify credentials saved. Open Settings first.' };
   }
 
   try {
-    const token = await getToken(cfg.clientId, cfg.clientSecret);
     const [trackData, features] = await Promise.all([
-      spotifyGet(token, `/v1/tracks/${trackId}`),
-      spotifyGet(token, `/v1/audio-features/${trackId}`).catch(() => null),
+      catalogueGet(cfg, `/v1/tracks/${trackId}`),
+      catalogueGet(cfg, `/v1/audio-features/${trackId}`).catch(() => null),
     ]);
 
-    const track = {
-      id: trackId,
-      name: trackData.name,
-      artist: trackData.artists.map(a => a.name).join(', '),
-      album: trackData.album.name,
-      duration: Math.round(trackData.duration_ms / 1000),
-      bpm: features && features.tempo ? Math.round(features.tempo) : null,
-      energy: features ? features.energy : null,
-      spotifyUri: `spotify:track:${trackId}`,
-      addedAt: new Date().toISOString(),
-      notes: '',
-    };
+    const track = buildTrack(trackData, features);
+    const invalid = checkTrack(track);
+    if (invalid) return { error: `Spotify returned an unusable track: ${invalid}` };
 
     tracks.push(track);
     saveTracks(tracks);
@@ -138,24 +639,1068 @@ ipcMain.handle('save-track', async (_, rawUri) => {
   }
 });
 
-ipcMain.handle('delete-track', (_, trackId) => {
-  const tracks = loadTracks().filter(t => t.id !== trackId);
+// Bulk import of every track in a playlist or album. Progress is pushed to
+// the renderer on 'import-progress' while pages are fetched.
+ipcMain.handle('import-collection', async (event, rawUri) => {
+  const uri = (rawUri || '').trim();
+
+  // spotify:playlist:ID, spotify:album:ID or the open.spotify.com equivalents
+  let kind = null, id = null;
+  const m = uri.match(/^spotify:(playlist|album):([A-Za-z0-9]+)$/) ||
+            uri.match(/open\.spotify\.com\/(?:intl-[a-z-]+\/)?(playlist|album)\/([A-Za-z0-9]+)/);
+  if (m) [, kind, id] = m;
+  if (!kind) return { error: 'Not a valid Spotify playlist or album link.' };
+
+  const cfg = loadConfig();
+  if (!cfg.clientId) {
+    return { error: 'No Spotify credentials saved. Open Settings first.' };
+  }
+
+  const progress = data => { if (!event.sender.isDestroyed()) event.sender.send('import-progress', data); };
+
+  try {
+    // 1. Collect every item, page by page
+    let name, album, items = [], next;
+    if (kind === 'playlist') {
+      const info = await playlistGet(cfg, `/v1/playlists/${id}?fields=name,tracks.total`);
+      name = info.name;
+      next = `/v1/playlists/${id}/tracks?limit=100&fields=next,total,items(is_local,track(id,name,type,duration_ms,is_local,explicit,popularity,artists(name),album(name,release_date)))`;
+      while (next) {
+        const page = await playlistGet(cfg, next);
+        items.push(...page.items.map(i => i.track));
+        progress({ phase: 'fetch', name, done: items.length, total: page.total });
+        next = page.next;
+      }
+    } else {
+      const info = await catalogueGet(cfg, `/v1/albums/${id}`);
+      name = info.name;
+      album = info;
+      items = info.tracks.items;
+      next = info.tracks.next;
+      progress({ phase: 'fetch', name, done: items.length, total: info.tracks.total });
+      while (next) {
+        const page = await catalogueGet(cfg, next);
+        items.push(...page.items);
+        progress({ phase: 'fetch', name, done: items.length, total: page.total });
+        next = page.next;
+      }
+    }
+
+    // 2. Sort items into new, already-present and unusable
+    const tracks   = loadTracks();
+    const existing = new Set(tracks.map(t => t.id));
+    const fresh    = [];
+    const failures = [];
+    let skipped    = 0;
+    items.forEach(item => {
+      if (!item || item.type === 'episode') { failures.push({ name: item?.name || 'Unknown item', reason: 'Not a track' }); return; }
+      if (item.is_local || !item.id)        { failures.push({ name: item.name, reason: 'Local file' }); return; }
+      if (existing.has(item.id))            { skipped++; return; }
+      existing.add(item.id);
+      fresh.push(item);
+    });
+
+    // 3. Audio features, 100 ids per request. A failed batch just leaves BPM empty.
+    const features = new Map();
+    for (let i = 0; i < fresh.length; i += 100) {
+      const ids = fresh.slice(i, i + 100).map(t => t.id).join(',');
+      try {
+        const data = await catalogueGet(cfg, `/v1/audio-features?ids=${ids}`);
+        (data.audio_features || []).forEach(f => { if (f) features.set(f.id, f); });
+      } catch (err) {
+        console.warn('Audio features batch failed:', err.message);
+      }
+      progress({ phase: 'features', name, done: Math.min(i + 100, fresh.length), total: fresh.length });
+    }
+
+    let added = 0;
+    fresh.forEach(item => {
+      const track = buildTrack(item, features.get(item.id) || null, album || item.album);
+      const invalid = checkTrack(track);
+      if (invalid) { failures.push({ name: item.name, reason: invalid }); return; }
+      tracks.push(track);
+      added++;
+    });
+    if (added) saveTracks(tracks);
+
+    return { success: true, name, added, skipped, failed: failures.length, failures };
+  } catch (err) {
+    if (kind === 'playlist' && ['not-found', 'forbidden'].includes(err.kind)) {
+      return { error: cfg.refreshToken
+        ? "That playlist is private or you don't have access to it."
+        : 'That playlist may be private — log in with Spotify to import it.' };
+    }
+    return { error: err.message };
+  }
+});
+
+// Returns what was removed (the track, its library position and its place
+// in each set) so restore-track can put it all back.
+handleLibraryWrite('delete-track', (_, trackId) => {
+  const tracks = loadTracks();
+  const index = tracks.findIndex(t => t.id === trackId);
+  if (index < 0) return { error: 'Track not found in the library.' };
+  const [track] = tracks.splice(index, 1);
   saveTracks(tracks);
-  return { success: true };
+
+  // Drop the track from any set that referenced it
+  const sets = loadSets();
+  const inSets = [];
+  sets.forEach(s => {
+    const i = s.trackIds.indexOf(trackId);
+    if (i < 0) return;
+    inSets.push({ setId: s.id, index: i });
+    s.trackIds = s.trackIds.filter(id => id !== trackId);
+  });
+  if (inSets.length) saveSets(sets);
+
+  return { success: true, removed: { track, index, sets: inSets } };
+});
+
+// Undo of delete-track
+handleLibraryWrite('restore-track', (_, { track, index, sets: inSets = [] }) => {
+  const invalid = checkTrack(track);
+  if (invalid) return { error: invalid };
+  const tracks = loadTracks();
+  if (tracks.some(t => t.id === track.id)) return { duplicate: true, trackId: track.id };
+  tracks.splice(Math.min(index, tracks.length), 0, track);
+  saveTracks(tracks);
+
+  const sets = loadSets();
+  inSets.forEach(({ setId, index: i }) => {
+    const set = sets.find(s => s.id === setId);
+    if (set && !set.trackIds.includes(track.id)) set.trackIds.splice(Math.min(i, set.trackIds.length), 0, track.id);
+  });
+  if (inSets.length) saveSets(sets);
+
+  return { success: true, track };
 });
 
 ipcMain.handle('open-external', (_, url) => shell.openExternal(url));
 
-ipcMain.handle('update-track', (_, { trackId, field, value }) => {
+// ── Local audio files ─────────────────────────────────────────────────────────
+// Files stay where they are; the library keeps their path. The id is derived
+// from the path so dropping the same file twice is caught as a duplicate.
+// BPM and duration are measured in the renderer (it has Web Audio) and sent
+// back through save-local-analysis.
+
+const LOCAL_ID_PATTERN = /^local[0-9a-f]{24}$/;
+
+function localTrackId(filePath) {
+  return 'local' + crypto.createHash('sha1').update(path.resolve(filePath)).digest('hex').slice(0, 24);
+}
+
+function buildLocalTrack(filePath) {
+  const tags = readAudioTags(filePath);
+  const fit = (field, value) => (value == null || checkField(field, value) ? null : value);
+  return {
+    id: localTrackId(filePath),
+    source: 'local',
+    filePath: path.resolve(filePath),
+    name: (tags.title || path.basename(filePath, path.extname(filePath))).slice(0, 500),
+    artist: (tags.artist || '').slice(0, 500),
+    album: (tags.album || '').slice(0, 500),
+    duration: fit('duration', tags.duration),
+    bpm: fit('bpm', tags.bpm),
+    energy: null,
+    addedAt: new Date().toISOString(),
+    notes: '',
+    tags: [],
+    releaseYear: fit('releaseYear', tags.year),
+  };
+}
+
+handleLibraryWrite('add-local-files', (_, filePaths) => {
+  const library = loadLibrary();
+  const known = new Set(library.tracks.map(t => t.id));
+  const result = { added: [], duplicates: 0, failed: [] };
+
+  (filePaths || []).forEach(filePath => {
+    const file = path.basename(filePath);
+    if (!AUDIO_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      result.failed.push({ file, reason: 'Not an MP3, FLAC, WAV or OGG file' });
+      return;
+    }
+    if (known.has(localTrackId(filePath))) { result.duplicates++; return; }
+    try {
+      const track = buildLocalTrack(filePath);
+      const invalid = checkTrack(track);
+      if (invalid) { result.failed.push({ file, reason: invalid }); return; }
+      library.tracks.push(track);
+      known.add(track.id);
+      result.added.push(track);
+    } catch (err) {
+      result.failed.push({ file, reason: err.code === 'ENOENT' ? 'File not found' : err.message });
+    }
+  });
+
+  if (result.added.length) saveLibrary(library);
+  return { success: true, ...result };
+});
+
+const MAX_LOCAL_READ = 64 * 1024 * 1024;
+
+// The start of a local file, for BPM analysis: at most maxBytes, so a long
+// live recording isn't copied whole into both processes. partial is true
+// when the file goes on past what was read.
+ipcMain.handle('read-local-file', async (_, { trackId, maxBytes } = {}) => {
+  const track = loadTracks().find(t => t.id === trackId);
+  if (!track || !isLocalTrack(track)) return { error: 'Track not found in the library.' };
+  if (!Number.isInteger(maxBytes) || maxBytes <= 0 || maxBytes > MAX_LOCAL_READ) return { error: 'Invalid read size.' };
+  let file = null;
+  try {
+    file = await fs.promises.open(track.filePath, 'r');
+    const { size } = await file.stat();
+    const data = Buffer.alloc(Math.min(size, maxBytes));
+    const { bytesRead } = await file.read(data, 0, data.length, 0);
+    return { success: true, data: data.subarray(0, bytesRead), partial: size > bytesRead };
+  } catch (err) {
+    return { error: err.code === 'ENOENT' ? `File not found: ${track.filePath}` : err.message };
+  } finally {
+    await file?.close();
+  }
+});
+
+// Measured values only fill gaps: a BPM from the file's tags or set by the
+// user is kept.
+handleLibraryWrite('save-local-analysis', (_, { trackId, duration, bpm, tempoConfidence }) => {
   const tracks = loadTracks();
   const t = tracks.find(t => t.id === trackId);
-  if (t) {
-    t[field] = value;
-    saveTracks(tracks);
+  if (!t || !isLocalTrack(t)) return { error: 'Track not found in the library.' };
+  if (t.duration == null && !checkField('duration', duration)) t.duration = duration;
+  if (t.bpm == null && bpm != null && !checkField('bpm', bpm)) {
+    t.bpm = bpm;
+    t.tempoConfidence = checkField('tempoConfidence', tempoConfidence) ? null : tempoConfidence;
+  }
+  saveTracks(tracks);
+  return { success: true, track: t };
+});
+
+// ── Library refresh ───────────────────────────────────────────────────────────
+
+// Filled in by a refresh when still empty. Spotify tracks never get a tempo
+// confidence (see buildTrack).
+const REFRESH_FIELDS = ['album', 'duration', 'bpm', 'energy',
+  ...METADATA_FIELDS.filter(f => f !== 'tempoConfidence')];
+const FEATURE_FIELDS = ['bpm', 'energy', 'key', 'mode', 'timeSignature', 'danceability', 'valence'];
+
+// The logged-in user's country, which availability depends on. Null when
+// nobody is logged in (client-credentials lookups have no market).
+async function userMarket(cfg) {
+  if (!cfg.refreshToken) return null;
+  try {
+    const me = await spotify.request(force => getUserToken(cfg, force), '/v1/me');
+    return me.country || null;
+  } catch {
+    return null;
+  }
+}
+
+// Re-reads tracks from Spotify in batches. Empty fields are filled in; BPM
+// the user has set, notes and tags are never touched. Each track is also
+// marked ok / unavailable / relinked / removed for the user's market, and
+// those that need attention are listed in the report.
+ipcMain.handle('refresh-library', async (event, trackIds = null) => {
+  const cfg = loadConfig();
+  if (!cfg.clientId) return { error: 'No Spotify credentials saved. Open Settings first.' };
+  const progress = data => { if (!event.sender.isDestroyed()) event.sender.send('import-progress', data); };
+
+  try {
+    const market  = await userMarket(cfg);
+    const targets = loadTracks().filter(t => !isLocalTrack(t) && (!trackIds || trackIds.includes(t.id)));
+    const marketParam = market ? `&market=${market}` : '';
+
+    // 1. Track objects, 50 ids per request. Unknown ids come back as null.
+    const fetched = new Map();
+    for (let i = 0; i < targets.length; i += 50) {
+      const batch = targets.slice(i, i + 50);
+      const data = await catalogueGet(cfg, `/v1/tracks?ids=${batch.map(t => t.id).join(',')}${marketParam}`);
+      data.tracks.forEach((item, j) => fetched.set(batch[j].id, item));
+      progress({ phase: 'refresh', name: 'library', done: Math.min(i + 50, targets.length), total: targets.length });
+    }
+
+    // 2. Audio features, only for tracks still missing some. A failed batch
+    //    just leaves those fields empty.
+    const needFeatures = targets.filter(t => fetched.get(t.id) && FEATURE_FIELDS.some(f => t[f] == null));
+    const features = new Map();
+    for (let i = 0; i < needFeatures.length; i += 100) {
+      const ids = needFeatures.slice(i, i + 100).map(t => t.id).join(',');
+      try {
+        const data = await catalogueGet(cfg, `/v1/audio-features?ids=${ids}`);
+        (data.audio_features || []).forEach(f => { if (f) features.set(f.id, f); });
+      } catch (err) {
+        console.warn('Audio features batch failed:', err.message);
+      }
+      progress({ phase: 'features', name: 'library', done: Math.min(i + 100, needFeatures.length), total: needFeatures.length });
+    }
+
+    // 3. Merge and classify, into a fresh copy of the library: the lookups
+    //    can take minutes, and edits, additions and deletions made meanwhile
+    //    must survive
+    const library = loadLibrary();
+    const report = { checked: 0, updated: 0, filled: 0, market, unavailable: [], relinked: [], removed: [] };
+    const checkedAt = new Date().toISOString();
+    library.tracks.forEach(t => {
+      if (!fetched.has(t.id)) return;
+      report.checked++;
+      const item  = fetched.get(t.id);
+      const entry = { id: t.id, name: t.name, artist: t.artist };
+      t.checkedAt = checkedAt;
+      delete t.relinkedId;
+      if (!item) {
+        t.availability = 'removed';
+        report.removed.push(entry);
+        return;
+      }
+
+      const fresh = buildTrack(item, features.get(t.id) || null);
+      const filled = REFRESH_FIELDS.filter(f => t[f] == null && fresh[f] != null);
+      filled.forEach(f => { t[f] = fresh[f]; });
+      if (fresh.popularity != null) t.popularity = fresh.popularity;
+      if (filled.length) { report.updated++; report.filled += filled.length; }
+
+      // With a market, Spotify swaps in a playable version of a track that
+      // isn't available there and names ours in linked_from
+      if (item.linked_from && item.id !== t.id) {
+        t.availability = 'relinked';
+        t.relinkedId = item.id;
+        report.relinked.push({ ...entry, relinkedId: item.id });
+      } else if (item.is_playable === false) {
+        t.availability = 'unavailable';
+        report.unavailable.push({ ...entry, reason: item.restrictions?.reason || null });
+      } else {
+        t.availability = 'ok';
+      }
+    });
+
+    saveLibrary(library);
+    return { success: true, ...report };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+// Other versions of a track (same title and main artist) that are playable
+// in the user's market
+ipcMain.handle('find-alternates', async (_, trackId) => {
+  const track = loadTracks().find(t => t.id === trackId);
+  if (!track) return { error: 'Track not found in the library.' };
+  const cfg = loadConfig();
+  try {
+    const market = await userMarket(cfg);
+    const title  = track.name.replace(/\s+[-–(\[].*$/, '');   // drop "- Remastered 2011", "(Live)" etc.
+    const q = `track:${title} artist:${track.artist.split(',')[0]}`;
+    const data = await catalogueGet(cfg,
+      `/v1/search?type=track&limit=10&q=${encodeURIComponent(q)}${market ? `&market=${market}` : ''}`);
+    const tracks = data.tracks.items
+      .filter(i => i && i.id !== trackId && i.is_playable !== false)
+      .map(i => ({
+        id: i.id,
+        name: i.name,
+        artist: i.artists.map(a => a.name).join(', '),
+        album: i.album.name,
+        duration: Math.round(i.duration_ms / 1000),
+        releaseYear: parseInt((i.album.release_date || '').slice(0, 4), 10) || null,
+      }));
+    return { success: true, tracks };
+  } catch (err) {
+    return { error: err.message };
   }
+});
+
+// Swaps a library track for another Spotify version of it, keeping the
+// user's BPM, notes, tags, intro skip, cue points and date added, and its place in sets
+ipcMain.handle('replace-track', async (_, { trackId, newId }) => {
+  const inLibrary = id => loadTracks().some(t => t.id === id);
+  if (!inLibrary(trackId)) return { error: 'Track not found in the library.' };
+  if (inLibrary(newId)) return { error: 'That version is already in your library.' };
+
+  const cfg = loadConfig();
+  try {
+    const [trackData, features] = await Promise.all([
+      catalogueGet(cfg, `/v1/tracks/${newId}`),
+      catalogueGet(cfg, `/v1/audio-features/${newId}`).catch(() => null),
+    ]);
+
+    // Reloaded after the lookups so edits made meanwhile are kept
+    const library = loadLibrary();
+    const index = library.tracks.findIndex(t => t.id === trackId);
+    if (index < 0) return { error: 'Track not found in the library.' };
+    if (library.tracks.some(t => t.id === newId)) return { error: 'That version is already in your library.' };
+    const old = library.tracks[index];
+    const fresh = buildTrack(trackData, features);
+    const track = {
+      ...fresh,
+      bpm: old.bpm ?? fresh.bpm,
+      notes: old.notes,
+      tags: old.tags,
+      introSkip: old.introSkip ?? null,
+      cues: old.cues ?? null,
+      addedAt: old.addedAt,
+      availability: 'ok',
+      checkedAt: new Date().toISOString(),
+    };
+    const invalid = checkTrack(track);
+    if (invalid) return { error: `Spotify returned an unusable track: ${invalid}` };
+
+    library.tracks[index] = track;
+    saveLibrary(library);
+
+    const sets = loadSets();
+    let setsChanged = false;
+    sets.forEach(s => {
+      if (!s.trackIds.includes(trackId)) return;
+      s.trackIds = s.trackIds.map(id => (id === trackId ? newId : id));
+      setsChanged = true;
+    });
+    if (setsChanged) saveSets(sets);
+
+    return { success: true, track };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+// Only schema fields marked editable, and only values that pass the schema
+handleLibraryWrite('update-track', (_, { trackId, field, value }) => {
+  if (!TRACK_SCHEMA[field]?.editable) return { error: `${TRACK_SCHEMA[field]?.label || field} can't be edited.` };
+  const error = checkField(field, value);
+  if (error) return { error };
+
+  const tracks = loadTracks();
+  const t = tracks.find(t => t.id === trackId);
+  if (!t) return { error: 'Track not found in the library.' };
+  t[field] = value;
+  saveTracks(tracks);
+  return { success: true, track: t };
+});
+
+// ── Song requests ─────────────────────────────────────────────────────────────
+// Dancers search the library (or paste a Spotify link) on a page served to
+// the venue network by request-server.js. Requests live in memory until the
+// DJ queues or dismisses them; they aren't worth keeping across restarts.
+
+const MAX_PENDING_REQUESTS = 100;
+const MAX_REQUESTER_NAME   = 40;
+let songRequests = [];
+
+// What the request page may see of a track; local file paths stay private
+function publicTrack(t) {
+  return { id: t.id, name: t.name, artist: t.artist, album: t.album, duration: t.duration, bpm: t.bpm };
+}
+
+// Every word has to appear in the name, artist or album
+function searchForRequests(query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+  return (cachedTracks || loadTracks())
+    .filter(t => {
+      const text = `${t.name} ${t.artist} ${t.album}`.toLowerCase();
+      return words.every(w => text.includes(w));
+    })
+    .slice(0, 25)
+    .map(publicTrack);
+}
+
+// Result for the request page: { message } or { error, status }
+async function submitSongRequest({ trackId, link, name }) {
+  name = typeof name === 'string' ? name.trim().slice(0, MAX_REQUESTER_NAME) : '';
+  if (!name) return { error: 'Please add your name.', status: 400 };
+  if (songRequests.length >= MAX_PENDING_REQUESTS) {
+    return { error: 'The DJ has plenty of requests already — try again later.', status: 503 };
+  }
+
+  const id = typeof link === 'string' ? parseTrackId(link) : typeof trackId === 'string' ? trackId : null;
+  if (!id || !/^[A-Za-z0-9]+$/.test(id)) {
+    return { error: link ? 'That is not a Spotify track link.' : 'Pick a track first.', status: 400 };
+  }
+  if (songRequests.some(r => r.track.id === id)) {
+    return { duplicate: true, message: 'Someone already asked for that one — it is on the list.' };
+  }
+
+  let track = loadTracks().find(t => t.id === id);
+  const inLibrary = !!track;
+  if (!track) {
+    if (!link) return { error: 'That track is not in the library.', status: 404 };
+    // Name it if Spotify can; a bare id is still enough for the DJ to add it
+    try {
+      const data = await catalogueGet(loadConfig(), `/v1/tracks/${id}`);
+      track = { id, name: data.name, artist: data.artists.map(a => a.name).join(', '),
+        album: data.album?.name || '', duration: Math.round(data.duration_ms / 1000), bpm: null };
+    } catch (err) {
+      if (err.kind === 'not-found') return { error: 'Spotify does not know that track.', status: 404 };
+      track = { id, name: `Spotify track ${id}`, artist: '', album: '', duration: null, bpm: null };
+    }
+  }
+
+  const request = { id: crypto.randomUUID(), track: publicTrack(track), inLibrary, name, requestedAt: new Date().toISOString() };
+  songRequests.push(request);
+  BrowserWindow.getAllWindows().forEach(w => w.webContents.send('song-request', request));
+  return { message: `Thanks, ${name}! "${request.track.name}" is with the DJ.` };
+}
+
+function requestServerState() {
+  return { ...requestServer.status(), requests: songRequests };
+}
+
+ipcMain.handle('get-request-server', () => requestServerState());
+
+ipcMain.handle('start-request-server', async (_, port) => {
+  if (!Number.isInteger(port) || port < 1024 || port > 65535) return { error: 'Pick a port between 1024 and 65535.' };
+  try {
+    await requestServer.start(port, { search: searchForRequests, submit: submitSongRequest });
+    return { success: true, ...requestServerState() };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('stop-request-server', async () => {
+  await requestServer.stop();
+  return { success: true, ...requestServerState() };
+});
+
+// Queued or dismissed: either way it leaves the inbox
+ipcMain.handle('resolve-song-request', (_, requestId) => {
+  const request = songRequests.find(r => r.id === requestId);
+  if (!request) return { error: 'Request not found.' };
+  songRequests = songRequests.filter(r => r !== request);
+  return { success: true, request };
+});
+
+// ── Audience display ──────────────────────────────────────────────────────────
+// A second window for a projector or TV. The main window already works out
+// what is playing on every poll and forwards it here; the display only
+// renders it and keeps the clock ticking between updates.
+
+let displayWin   = null;
+let displayState = null;        // last state sent, for a display that is still loading
+
+function openDisplayWindow() {
+  if (displayWin) { displayWin.show(); displayWin.focus(); return; }
+
+  // Full screen on a second screen when there is one; otherwise a normal
+  // window the DJ can drag across before going full screen
+  const primary  = screen.getPrimaryDisplay();
+  const external = screen.getAllDisplays().find(d => d.id !== primary.id);
+  displayWin = new BrowserWindow({
+    ...(external ? external.bounds : { width: 960, height: 540 }),
+    fullscreen: !!external,
+    autoHideMenuBar: true,
+    webPreferences: {
+      preload: path.join(__dirname, 'display-preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+    },
+    backgroundColor: '#000000',
+    title: 'Now Playing — Swing DJ Companion',
+  });
+
+  displayWin.loadFile('display.html');
+  displayWin.webContents.on('did-finish-load', () => {
+    if (displayState) displayWin?.webContents.send('display-state', displayState);
+  });
+  displayWin.on('closed', () => {
+    displayWin = null;
+    BrowserWindow.getAllWindows().forEach(w => w.webContents.send('display-closed'));
+  });
+}
+
+ipcMain.handle('open-display', () => {
+  openDisplayWindow();
+  return { success: true };
+});
+
+ipcMain.handle('close-display', () => {
+  displayWin?.close();
+  return { success: true };
+});
+
+ipcMain.handle('update-display', (_, state) => {
+  displayState = state;
+  displayWin?.webContents.send('display-state', state);
+  return { success: true };
+});
+
+// ── Backup handlers ───────────────────────────────────────────────────────────
+
+ipcMain.handle('list-backups', () => {
+  loadLibrary(); // refreshes libraryDamaged
+  return { damaged: libraryDamaged?.error || null, backups: listBackupFiles().map(describeBackup) };
+});
+
+ipcMain.handle('restore-backup', (_, name) => {
+  if (!listBackupFiles().includes(name)) return { error: 'Backup not found.' };
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path.join(getBackupDir(), name), 'utf8'));
+  } catch {
+    return { error: 'That backup is damaged too. Pick another one.' };
+  }
+
+  const src = getDataPath();
+  if (libraryDamaged) {
+    // Kept beside the live file in case it can be salvaged by hand
+    fs.copyFileSync(src, src.replace(/\.json$/, `.damaged-${Date.now()}.json`));
+  } else {
+    backupLibrary(true); // so the restore itself can be undone
+  }
+  writeJsonAtomic(src, data);
+  libraryDamaged = null;
+  const library = loadLibrary(); // migrates backups from older versions
+  return { success: true, tracks: library.tracks.length };
+});
+
+// ── Tag handlers ──────────────────────────────────────────────────────────────
+
+ipcMain.handle('get-tags', () => loadLibrary().tags);
+
+handleLibraryWrite('save-tag', (_, { id, name: rawName, color, group }) => {
+  const name = (rawName || '').trim();
+  if (!name) return { error: 'Tag name cannot be empty.' };
+
+  const library = loadLibrary();
+  const clash = library.tags.find(t => t.name.toLowerCase() === name.toLowerCase() && t.id !== id);
+  if (clash) return { error: `A tag called “${clash.name}” already exists.` };
+
+  let tag = id ? library.tags.find(t => t.id === id) : null;
+  if (id && !tag) return { error: 'Tag not found.' };
+  if (!tag) {
+    tag = { id: crypto.randomUUID(), name, color: color || '#7a7060', group: group || '' };
+    library.tags.push(tag);
+  } else {
+    tag.name = name;
+    if (color) tag.color = color;
+    if (group !== undefined) tag.group = group;
+  }
+  saveLibrary(library);
+  return { success: true, tag };
+});
+
+handleLibraryWrite('delete-tag', (_, tagId) => {
+  const library = loadLibrary();
+  library.tags = library.tags.filter(t => t.id !== tagId);
+  library.tracks.forEach(t => { t.tags = t.tags.filter(id => id !== tagId); });
+  saveLibrary(library);
+  return { success: true };
+});
+
+// Bulk add/remove tag ids across any number of tracks
+handleLibraryWrite('tag-tracks', (_, { trackIds, add = [], remove = [] }) => {
+  const library = loadLibrary();
+  const known = new Set(library.tags.map(t => t.id));
+  if ([...add, ...remove].some(id => !known.has(id))) return { error: 'Unknown tag.' };
+
+  const ids = new Set(trackIds);
+  library.tracks.forEach(t => {
+    if (!ids.has(t.id)) return;
+    t.tags = [...new Set([...t.tags.filter(id => !remove.includes(id)), ...add])];
+  });
+  saveLibrary(library);
+  return { success: true };
+});
+
+// ── Play history handlers ─────────────────────────────────────────────────────
+
+// A session left open this long after its last play is over: the next play
+// starts a new one rather than adding to last week's social
+const SESSION_GAP_MS = 6 * 60 * 60 * 1000;
+
+// Ends the current session if it has gone stale; returns whether it did
+function endStaleSession(history) {
+  const session = history.sessions.find(s => s.id === history.currentSessionId);
+  if (!session) return false;
+  const lastAt = history.plays.reduce((at, p) => (p.sessionId === session.id && p.playedAt > at ? p.playedAt : at), session.startedAt);
+  if (Date.now() - new Date(lastAt).getTime() < SESSION_GAP_MS) return false;
+  if (!session.endedAt) session.endedAt = lastAt;
+  history.currentSessionId = null;
+  return true;
+}
+
+function startSession(history, rawName) {
+  const now  = new Date();
+  const name = (rawName || '').trim() ||
+    `Session ${now.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+  const prev = history.sessions.find(s => s.id === history.currentSessionId);
+  if (prev && !prev.endedAt) prev.endedAt = now.toISOString();
+
+  const session = { id: crypto.randomUUID(), name, startedAt: now.toISOString(), endedAt: null };
+  history.sessions.push(session);
+  history.currentSessionId = session.id;
+  return session;
+}
+
+ipcMain.handle('get-history', () => {
+  const history = loadHistory();
+  if (endStaleSession(history)) saveHistory(history);
+  return history;
+});
+
+ipcMain.handle('start-session', (_, name) => {
+  const history = loadHistory();
+  const session = startSession(history, name);
+  saveHistory(history);
+  return { success: true, session };
+});
+
+ipcMain.handle('end-session', () => {
+  const history = loadHistory();
+  const session = history.sessions.find(s => s.id === history.currentSessionId);
+  if (session) session.endedAt = new Date().toISOString();
+  history.currentSessionId = null;
+  saveHistory(history);
+  return { success: true };
+});
+
+ipcMain.handle('log-play', (_, trackId) => {
+  const track = loadTracks().find(t => t.id === trackId);
+  if (!track) return { error: 'Track is not in the library.' };
+
+  const history = loadHistory();
+  endStaleSession(history);
+  const session = history.sessions.find(s => s.id === history.currentSessionId) || startSession(history);
+
+  // Name and artist are copied so history still reads well after a track is removed
+  const play = {
+    id: crypto.randomUUID(),
+    trackId,
+    sessionId: session.id,
+    name: track.name,
+    artist: track.artist,
+    playedAt: new Date().toISOString(),
+  };
+  history.plays.push(play);
+  saveHistory(history);
+  return { success: true, play, session };
+});
+
+// ── Set handlers ──────────────────────────────────────────────────────────────
+
+function findSet(sets, setId) {
+  return sets.find(s => s.id === setId) || null;
+}
+
+ipcMain.handle('get-sets', () => loadSets());
+
+ipcMain.handle('create-set', (_, rawName) => {
+  const name = (rawName || '').trim();
+  if (!name) return { error: 'Set name cannot be empty.' };
+
+  const sets = loadSets();
+  const now  = new Date().toISOString();
+  const set  = { id: crypto.randomUUID(), name, trackIds: [], createdAt: now, updatedAt: now };
+  sets.push(set);
+  saveSets(sets);
+  return { success: true, set };
+});
+
+ipcMain.handle('rename-set', (_, { setId, name: rawName }) => {
+  const name = (rawName || '').trim();
+  if (!name) return { error: 'Set name cannot be empty.' };
+
+  const sets = loadSets();
+  const set  = findSet(sets, setId);
+  if (!set) return { error: 'Set not found.' };
+  set.name = name;
+  set.updatedAt = new Date().toISOString();
+  saveSets(sets);
+  return { success: true, set };
+});
+
+ipcMain.handle('delete-set', (_, setId) => {
+  const sets = loadSets().filter(s => s.id !== setId);
+  saveSets(sets);
   return { success: true };
 });
 
+ipcMain.handle('add-to-set', (_, { setId, trackId }) => {
+  const sets = loadSets();
+  const set  = findSet(sets, setId);
+  if (!set) return { error: 'Set not found.' };
+  if (!loadTracks().some(t => t.id === trackId)) return { error: 'Track is not in the library.' };
+  if (set.trackIds.includes(trackId)) return { duplicate: true, set };
+
+  set.trackIds.push(trackId);
+  set.updatedAt = new Date().toISOString();
+  saveSets(sets);
+  return { success: true, set };
+});
+
+ipcMain.handle('remove-from-set', (_, { setId, trackId }) => {
+  const sets = loadSets();
+  const set  = findSet(sets, setId);
+  if (!set) return { error: 'Set not found.' };
+  set.trackIds = set.trackIds.filter(id => id !== trackId);
+  set.updatedAt = new Date().toISOString();
+  saveSets(sets);
+  return { success: true, set };
+});
+
+ipcMain.handle('reorder-set', (_, { setId, trackIds }) => {
+  const sets = loadSets();
+  const set  = findSet(sets, setId);
+  if (!set) return { error: 'Set not found.' };
+
+  // The new order must contain exactly the same tracks as the old one
+  const same = Array.isArray(trackIds) &&
+    trackIds.length === set.trackIds.length &&
+    trackIds.every(id => set.trackIds.includes(id));
+  if (!same) return { error: 'Set changed elsewhere — reload and try again.' };
+
+  set.trackIds = [...trackIds];
+  set.updatedAt = new Date().toISOString();
+  saveSets(sets);
+  return { success: true, set };
+});
+
+// ── File export / import ──────────────────────────────────────────────────────
+
+// Columns written to CSV and accepted on import, in order
+const EXCHANGE_FIELDS = ['id', 'name', 'artist', 'album', 'duration', 'bpm', 'energy', 'spotifyUri', 'addedAt', 'notes', 'tags',
+  ...METADATA_FIELDS];
+
+function csvEscape(value) {
+  const str = value == null ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF or LF line ends
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
+
+function formatExport(tracks, tags, format) {
+  const tagNames = t => (t.tags || []).map(id => tags.find(tag => tag.id === id)?.name).filter(Boolean);
+
+  if (format === 'csv') {
+    const lines = [EXCHANGE_FIELDS.join(',')];
+    tracks.forEach(t => lines.push(EXCHANGE_FIELDS.map(f =>
+      csvEscape(f === 'tags' ? tagNames(t).join('; ') : t[f])
+    ).join(',')));
+    return lines.join('\r\n') + '\r\n';
+  }
+  if (format === 'm3u') {
+    const lines = ['#EXTM3U'];
+    tracks.forEach(t => {
+      lines.push(`#EXTINF:${t.duration || -1},${t.artist} - ${t.name}`);
+      lines.push(isLocalTrack(t) ? t.filePath : t.spotifyUri || `spotify:track:${t.id}`);
+    });
+    return lines.join('\n') + '\n';
+  }
+  return JSON.stringify({
+    exportedFrom: 'Swing DJ Companion',
+    exportedAt: new Date().toISOString(),
+    tracks: tracks.map(t => ({ ...Object.fromEntries(EXCHANGE_FIELDS.map(f => [f, t[f] ?? null])), tags: tagNames(t) })),
+  }, null, 2);
+}
+
+ipcMain.handle('export-tracks', async (event, options) => {
+  const { trackIds, format } = options && typeof options === 'object' ? options : {};
+  const extensions = { csv: 'csv', json: 'json', m3u: 'm3u' };
+  if (!extensions[format]) return { error: 'Unknown export format.' };
+  if (!Array.isArray(trackIds)) return { error: 'No tracks to export.' };
+
+  const library = loadLibrary();
+  const byId    = new Map(library.tracks.map(t => [t.id, t]));
+  const tracks  = trackIds.map(id => byId.get(id)).filter(Boolean);
+
+  const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: 'Export tracks',
+    defaultPath: `swing-dj-tracks.${extensions[format]}`,
+    filters: [{ name: format.toUpperCase(), extensions: [extensions[format]] }],
+  });
+  if (canceled || !filePath) return { canceled: true };
+
+  try {
+    fs.writeFileSync(filePath, formatExport(tracks, library.tags, format));
+    return { success: true, path: filePath, count: tracks.length };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+// The parsed file waits here between choosing it and confirming the mapping
+let pendingImport = null;
+
+ipcMain.handle('pick-import-file', async event => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: 'Import tracks',
+    properties: ['openFile'],
+    filters: [{ name: 'Track lists', extensions: ['csv', 'json'] }],
+  });
+  if (canceled || !filePaths.length) return { canceled: true };
+
+  const filePath = filePaths[0];
+  try {
+    const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    let columns, rows;
+    if (/\.json$/i.test(filePath)) {
+      const data  = JSON.parse(text);
+      const items = Array.isArray(data) ? data : data.tracks;
+      if (!Array.isArray(items)) return { error: 'JSON file has no list of tracks.' };
+      columns = [...new Set(items.flatMap(i => (i && typeof i === 'object') ? Object.keys(i) : []))];
+      rows    = items.map(i => columns.map(c => i?.[c]));
+    } else {
+      const table = parseCsv(text);
+      if (table.length < 2) return { error: 'CSV file has no data rows.' };
+      columns = table[0].map(c => c.trim());
+      rows    = table.slice(1);
+    }
+    pendingImport = { filePath, columns, rows };
+    return {
+      success: true,
+      fileName: path.basename(filePath),
+      columns,
+      fields: EXCHANGE_FIELDS,
+      rowCount: rows.length,
+      sample: rows.slice(0, 3),
+    };
+  } catch (err) {
+    return { error: `Could not read file: ${err.message}` };
+  }
+});
+
+// Turns one mapped row into a partial track, or a reason it can't be used
+function readImportRow(get) {
+  const raw = {};
+  let id = (get('id') || '').toString().trim();
+  const uri = (get('spotifyUri') || '').toString().trim();
+  if (!id && uri) {
+    const m = uri.match(/spotify:track:([A-Za-z0-9]+)/) || uri.match(/open\.spotify\.com\/track\/([A-Za-z0-9]+)/);
+    if (m) id = m[1];
+  }
+  if (!/^[A-Za-z0-9]+$/.test(id)) return { error: 'Missing or invalid Spotify id' };
+  if (LOCAL_ID_PATTERN.test(id)) return { error: 'Local files have to be added by dropping them on the window' };
+  raw.id = id;
+
+  // JSON cells can hold anything; only text and numbers read as text
+  for (const f of ['name', 'artist', 'album', 'notes', 'addedAt']) {
+    const v = get(f);
+    if (v == null || v === '') continue;
+    if (typeof v !== 'string' && typeof v !== 'number') return { error: `${TRACK_SCHEMA[f].label} is not text` };
+    raw[f] = String(v);
+  }
+
+  for (const f of ['bpm', 'duration', 'energy', ...METADATA_FIELDS]) {
+    const v = get(f);
+    if (v == null || v === '') continue;
+    let n;
+    if (TRACK_SCHEMA[f].type === 'boolean') {
+      n = typeof v === 'boolean' ? v : /^(true|yes|y|1)$/i.test(String(v).trim()) ? true
+        : /^(false|no|n|0)$/i.test(String(v).trim()) ? false : v;
+    } else {
+      n = TRACK_SCHEMA[f].type === 'integer' ? Math.round(Number(v)) : Number(v);
+    }
+    const error = checkField(f, n);
+    if (error) return { error };
+    raw[f] = n;
+  }
+
+  const tags = get('tags');
+  if (tags != null && tags !== '') {
+    const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(/[;|]/) : null;
+    if (!list || list.some(t => typeof t !== 'string')) return { error: 'Tags are not a list of names' };
+    raw.tags = list.map(t => t.trim()).filter(Boolean);
+  }
+  return { track: raw };
+}
+
+// mapping: { field → column name }. mergeRule: 'mine' | 'theirs' | 'notes'
+handleLibraryWrite('run-import', (_, { mapping, mergeRule }) => {
+  if (!pendingImport) return { error: 'No import file chosen.' };
+  const { columns, rows } = pendingImport;
+
+  const library = loadLibrary();
+  const byId    = new Map(library.tracks.map(t => [t.id, t]));
+  const summary = { added: 0, updated: 0, unchanged: 0, invalid: [] };
+
+  // Only called once a row's tags are actually applied, so rejected rows
+  // don't leave new, empty tags behind
+  const tagIdFor = name => {
+    let tag = library.tags.find(t => t.name.toLowerCase() === name.toLowerCase());
+    if (!tag) {
+      tag = { id: crypto.randomUUID(), name, color: '#7a7060', group: '' };
+      library.tags.push(tag);
+    }
+    return tag.id;
+  };
+
+  rows.forEach((row, i) => {
+    const get = field => {
+      const col = mapping[field];
+      if (!col) return null;
+      const idx = columns.indexOf(col);
+      return idx < 0 ? null : row[idx];
+    };
+    const { track: incoming, error } = readImportRow(get);
+    if (error) { summary.invalid.push({ row: i + 1, reason: error }); return; }
+
+    const tagNames = incoming.tags || [];
+    delete incoming.tags;
+    const mine = byId.get(incoming.id);
+
+    if (!mine) {
+      if (!incoming.name) { summary.invalid.push({ row: i + 1, reason: 'New track without a name' }); return; }
+      const track = {
+        id: incoming.id, name: incoming.name, artist: incoming.artist || '', album: incoming.album || '',
+        duration: incoming.duration ?? null, bpm: incoming.bpm ?? null, energy: incoming.energy ?? null,
+        spotifyUri: `spotify:track:${incoming.id}`, addedAt: incoming.addedAt || new Date().toISOString(),
+        notes: incoming.notes || '', tags: [],
+        ...Object.fromEntries(METADATA_FIELDS.map(f => [f, incoming[f] ?? null])),
+      };
+      const invalid = checkTrack(track);
+      if (invalid) { summary.invalid.push({ row: i + 1, reason: invalid }); return; }
+      track.tags = [...new Set(tagNames.map(tagIdFor))];
+      library.tracks.push(track);
+      byId.set(track.id, track);
+      summary.added++;
+      return;
+    }
+
+    const before = JSON.stringify(mine);
+    if (mergeRule === 'theirs') {
+      Object.entries(incoming).forEach(([k, v]) => { if (k !== 'id' && k !== 'addedAt') mine[k] = v; });
+    } else if (mergeRule === 'notes') {
+      // Keep my values, fill in blanks, and append their notes if they differ
+      ['bpm', 'energy', 'duration', ...METADATA_FIELDS].forEach(f => { if (mine[f] == null && incoming[f] != null) mine[f] = incoming[f]; });
+      const theirs = (incoming.notes || '').trim();
+      if (theirs && !(mine.notes || '').includes(theirs)) mine.notes = mine.notes ? `${mine.notes}\n${theirs}` : theirs;
+    }
+    const invalid = checkTrack(mine);
+    if (invalid) {
+      Object.assign(mine, JSON.parse(before));
+      summary.invalid.push({ row: i + 1, reason: invalid });
+      return;
+    }
+    if (mergeRule !== 'mine') mine.tags = [...new Set([...mine.tags, ...tagNames.map(tagIdFor)])];
+    if (JSON.stringify(mine) !== before) summary.updated++;
+    else summary.unchanged++;
+  });
+
+  saveLibrary(library);
+  pendingImport = null;
+  return { success: true, ...summary };
+});
+
 // ── OAuth / Auth handlers ─────────────────────────────────────────────────────
 
 const REDIRECT_URI = 'http://127.0.0.1:5173/callback';
@@ -166,18 +1711,88 @@ const SCOPES = [
   'user-modify-playback-state',
   'user-read-playback-state',
   'user-library-read',
+  'playlist-read-private',
+  'playlist-read-collaborative',
+  'playlist-modify-private',
+  'playlist-modify-public',
 ].join(' ');
 
+// 'pkce' logs in with just a Client ID (Authorization Code + PKCE);
+// 'secret' is the classic confidential-client flow. Configs from before the
+// option existed have a secret and keep using it.
+function authMode(cfg) {
+  return cfg.authMode || (cfg.clientSecret ? 'secret' : 'pkce');
+}
+
+// Verifier for the login window currently open, consumed by exchange-code
+let pkceVerifier = null;
+
+function createPkcePair() {
+  const verifier = crypto.randomBytes(64).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+// POST to Spotify's token endpoint, authenticating the app the way the
+// configured auth mode requires. Throws if the secret is locked.
+function requestUserToken(cfg, params) {
+  if (authMode(cfg) === 'pkce') return spotify.requestToken({ ...params, client_id: cfg.clientId });
+  const creds = Buffer.from(`${cfg.clientId}:${getSecret(cfg, 'clientSecret')}`).toString('base64');
+  return spotify.requestToken(params, { Authorization: `Basic ${creds}` });
+}
+
+function storeUserToken(cfg, result) {
+  setSecret(cfg, 'accessToken', result.access_token);
+  if (result.refresh_token) setSecret(cfg, 'refreshToken', result.refresh_token);
+  cfg.tokenExpiry = Date.now() + result.expires_in * 1000;
+  saveConfig(cfg);
+}
+
+// Refreshes and stores the user's access token, returning it. Throws on
+// failure. Concurrent callers share one refresh, since PKCE refresh tokens
+// are single-use.
+let pendingRefresh = null;
+
+function refreshUserToken(cfg) {
+  if (!pendingRefresh) {
+    pendingRefresh = (async () => {
+      const result = await requestUserToken(cfg, {
+        grant_type: 'refresh_token',
+        refresh_token: getSecret(cfg, 'refreshToken'),
+      });
+      if (!result?.access_token) throw new Error('Refresh failed');
+      storeUserToken(cfg, result);
+      return result.access_token;
+    })().finally(() => { pendingRefresh = null; });
+  }
+  return pendingRefresh;
+}
+
+// The user's access token, refreshed when it's about to expire or when
+// `force` is set after Spotify rejected it.
+async function getUserToken(cfg, force = false) {
+  if (!cfg.refreshToken) throw new spotify.SpotifyApiError('auth', 'Not authenticated');
+  if (!force && cfg.accessToken && cfg.tokenExpiry - Date.now() > 60 * 1000) return getSecret(cfg, 'accessToken');
+  return refreshUserToken(cfg);
+}
+
 ipcMain.handle('spotify-oauth', () => {
   const cfg = loadConfig();
   if (!cfg.clientId) return { error: 'No Client ID configured. Open Settings first.' };
 
-  const authUrl =
+  let authUrl =
     `https://accounts.spotify.com/authorize?response_type=code` +
     `&client_id=${encodeURIComponent(cfg.clientId)}` +
     `&scope=${encodeURIComponent(SCOPES)}` +
     `&redirect_uri=${encodeURIComponent(REDIRECT_URI)}`;
 
+  pkceVerifier = null;
+  if (authMode(cfg) === 'pkce') {
+    const { verifier, challenge } = createPkcePair();
+    pkceVerifier = verifier;
+    authUrl += `&code_challenge_method=S256&code_challenge=${challenge}`;
+  }
+
   return new Promise(resolve => {
     let done = false;
 
@@ -211,64 +1826,62 @@ ipcMain.handle('spotify-oauth', () => {
 
 ipcMain.handle('exchange-code', async (_, code) => {
   const cfg = loadConfig();
-  const body = `grant_type=authorization_code&code=${encodeURIComponent(code)}&redirect_uri=${encodeURIComponent(REDIRECT_URI)}`;
-  const creds = Buffer.from(`${cfg.clientId}:${cfg.clientSecret}`).toString('base64');
-
-  const result = await httpsPost({
-    hostname: 'accounts.spotify.com',
-    path: '/api/token',
-    method: 'POST',
-    headers: {
-      Authorization: `Basic ${creds}`,
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Content-Length': Buffer.byteLength(body),
-    },
-  }, body);
+  const params = { grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI };
+  if (authMode(cfg) === 'pkce') {
+    if (!pkceVerifier) return { error: 'Login expired. Please try again.' };
+    params.code_verifier = pkceVerifier;
+    pkceVerifier = null;
+  }
 
-  if (result.access_token) {
-    cfg.accessToken = result.access_token;
-    cfg.refreshToken = result.refresh_token;
-    cfg.tokenExpiry = Date.now() + result.expires_in * 1000;
-    saveConfig(cfg);
+  try {
+    const result = await requestUserToken(cfg, params);
+    if (!result?.access_token) return { error: result?.error_description || 'Token exchange failed' };
+    storeUserToken(cfg, result);
     return { accessToken: result.access_token, tokenExpiry: cfg.tokenExpiry };
+  } catch (err) {
+    return { error: err.message };
   }
-  return { error: result.error_description || 'Token exchange failed' };
 });
 
 ipcMain.handle('refresh-token', async () => {
   const cfg = loadConfig();
   if (!cfg.refreshToken) return { error: 'No refresh token stored' };
 
-  const body = `grant_type=refresh_token&refresh_token=${encodeURIComponent(cfg.refreshToken)}`;
-  const creds = Buffer.from(`${cfg.clientId}:${cfg.clientSecret}`).toString('base64');
-
-  const result = await httpsPost({
-    hostname: 'accounts.spotify.com',
-    path: '/api/token',
-    method: 'POST',
-    headers: {
-      Authorization: `Basic ${creds}`,
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Content-Length': Buffer.byteLength(body),
-    },
-  }, body);
+  try {
+    const accessToken = await refreshUserToken(cfg);
+    return { accessToken, tokenExpiry: loadConfig().tokenExpiry };
+  } catch (err) {
+    return { error: err.message, locked: err instanceof SecretsLockedError };
+  }
+});
 
-  if (result.access_token) {
-    cfg.accessToken = result.access_token;
-    cfg.tokenExpiry = Date.now() + result.expires_in * 1000;
-    if (result.refresh_token) cfg.refreshToken = result.refresh_token;
-    saveConfig(cfg);
-    return { accessToken: result.access_token, tokenExpiry: cfg.tokenExpiry };
+// Web API calls made on the user's behalf by the renderer. Errors carry the
+// client's error kind so the UI can tell rate limits from bad requests.
+ipcMain.handle('spotify-request', async (_, { path, method, body }) => {
+  const cfg = loadConfig();
+  try {
+    const data = await spotify.request(force => getUserToken(cfg, force), path, { method, body });
+    return { data };
+  } catch (err) {
+    return {
+      error: err.message,
+      kind: err instanceof SecretsLockedError ? 'locked' : err.kind || 'request',
+      status: err.status || null,
+      retryAfter: err.retryAfter || null,
+    };
   }
-  return { error: result.error_description || 'Refresh failed' };
 });
 
 ipcMain.handle('get-auth', () => {
   const cfg = loadConfig();
+  const { locked } = secretStatus(cfg);
+  let accessToken = null;
+  try { accessToken = getSecret(cfg, 'accessToken'); } catch { /* locked or unreadable */ }
   return {
-    accessToken: cfg.accessToken || null,
+    accessToken,
     tokenExpiry: cfg.tokenExpiry || null,
     hasRefreshToken: !!cfg.refreshToken,
+    locked,
   };
 });
 
@@ -283,92 +1896,22 @@ ipcMain.handle('logout', () => {
 
 // ── Spotify API helpers ───────────────────────────────────────────────────────
 
-function httpsPost(options, body) {
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, res => {
-      let data = '';
-      res.on('data', c => (data += c));
-      res.on('end', () => {
-        try {
-          if (res.statusCode < 200 || res.statusCode >= 400) {
-            reject(new Error(`HTTP ${res.statusCode}: ${data || 'No response'}`));
-            return;
-          }
-          // Trim and handle empty/malformed responses
-          const trimmed = (data || '').trim();
-          if (!trimmed) {
-            reject(new Error('Empty response from server'));
-            return;
-          }
-          resolve(JSON.parse(trimmed));
-        } catch (e) {
-          console.error('JSON parse error. Raw data:', data.substring(0, 100));
-          reject(new Error(`Failed to parse response: ${e.message}`));
-        }
-      });
-    });
-    req.on('error', reject);
-    req.write(body);
-    req.end();
-  });
+// Token for catalogue lookups: cached client credentials when a secret is
+// configured, otherwise the logged-in user's own token, which is all a PKCE
+// setup has.
+async function getApiToken(cfg, force = false) {
+  if (cfg.clientSecret) return spotify.getClientToken(cfg.clientId, getSecret(cfg, 'clientSecret'), force);
+  if (!cfg.refreshToken) throw new Error('Log in with Spotify first to look up tracks.');
+  return getUserToken(cfg, force);
 }
 
-function httpsGet(options) {
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, res => {
-      let data = '';
-      res.on('data', c => (data += c));
-      res.on('end', () => {
-        try {
-          if (res.statusCode < 200 || res.statusCode >= 400) {
-            reject(new Error(`HTTP ${res.statusCode}: ${data || 'No response'}`));
-            return;
-          }
-          // Trim and handle empty/malformed responses
-          const trimmed = (data || '').trim();
-          if (!trimmed) {
-            reject(new Error('Empty response from server'));
-            return;
-          }
-          const parsed = JSON.parse(trimmed);
-          if (parsed.error) reject(new Error(parsed.error.message || 'Spotify API error'));
-          else resolve(parsed);
-        } catch (e) {
-          console.error('JSON parse error. Raw data:', data.substring(0, 100));
-          reject(new Error(`Failed to parse response: ${e.message}`));
-        }
-      });
-    });
-    req.on('error', reject);
-    req.end();
-  });
+function catalogueGet(cfg, path) {
+  return spotify.request(force => getApiToken(cfg, force), path);
 }
 
-async function getToken(clientId, clientSecret) {
-  const body = 'grant_type=client_credentials';
-  const creds = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
-  const result = await httpsPost(
-    {
-      hostname: 'accounts.spotify.com',
-      path: '/api/token',
-      method: 'POST',
-      headers: {
-        Authorization: `Basic ${creds}`,
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Content-Length': Buffer.byteLength(body),
-      },
-    },
-    body
-  );
-  if (!result.access_token) throw new Error(result.error_description || 'Could not get Spotify token');
-  return result.access_token;
-}
-
-function spotifyGet(token, path) {
-  return httpsGet({
-    hostname: 'api.spotify.com',
-    path,
-    method: 'GET',
-    headers: { Authorization: `Bearer ${token}` },
-  });
+// Private and collaborative playlists are only visible to a user token, so
+// use the login when there is one
+function playlistGet(cfg, path) {
+  if (!cfg.refreshToken) return catalogueGet(cfg, path);
+  return spotify.request(force => getUserToken(cfg, force), path);
 }
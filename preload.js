@@ -3,21 +3,81 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('api', {
   // Track library
   getTracks:       ()                        => ipcRenderer.invoke('get-tracks'),
+  getTrackSchema:  ()                        => ipcRenderer.invoke('get-track-schema'),
   saveTrack:       (uri)                     => ipcRenderer.invoke('save-track', uri),
+  importCollection:(uri)                     => ipcRenderer.invoke('import-collection', uri),
+  onImportProgress:(cb)                      => ipcRenderer.on('import-progress', (_, data) => cb(data)),
   deleteTrack:     (id)                      => ipcRenderer.invoke('delete-track', id),
+  restoreTrack:    (removed)                 => ipcRenderer.invoke('restore-track', removed),
   updateTrack:     (trackId, field, value)   => ipcRenderer.invoke('update-track', { trackId, field, value }),
+  refreshLibrary:  (trackIds)                => ipcRenderer.invoke('refresh-library', trackIds),
+  findAlternates:  (trackId)                 => ipcRenderer.invoke('find-alternates', trackId),
+  replaceTrack:    (trackId, newId)          => ipcRenderer.invoke('replace-track', { trackId, newId }),
+
+  // Local audio files
+  addLocalFiles:   (filePaths)               => ipcRenderer.invoke('add-local-files', filePaths),
+  readLocalFile:   (trackId, maxBytes)       => ipcRenderer.invoke('read-local-file', { trackId, maxBytes }),
+  saveLocalAnalysis:(trackId, analysis)      => ipcRenderer.invoke('save-local-analysis', { trackId, ...analysis }),
+
+  // File export / import
+  exportTracks:    (trackIds, format)        => ipcRenderer.invoke('export-tracks', { trackIds, format }),
+  pickImportFile:  ()                        => ipcRenderer.invoke('pick-import-file'),
+  runImport:       (mapping, mergeRule)      => ipcRenderer.invoke('run-import', { mapping, mergeRule }),
+
+  // Library backups
+  listBackups:     ()                        => ipcRenderer.invoke('list-backups'),
+  restoreBackup:   (name)                    => ipcRenderer.invoke('restore-backup', name),
+
+  // Tags
+  getTags:         ()                        => ipcRenderer.invoke('get-tags'),
+  saveTag:         (tag)                     => ipcRenderer.invoke('save-tag', tag),
+  deleteTag:       (tagId)                   => ipcRenderer.invoke('delete-tag', tagId),
+  tagTracks:       (trackIds, add, remove)   => ipcRenderer.invoke('tag-tracks', { trackIds, add, remove }),
+
+  // DJ sets
+  getSets:         ()                        => ipcRenderer.invoke('get-sets'),
+  createSet:       (name)                    => ipcRenderer.invoke('create-set', name),
+  renameSet:       (setId, name)             => ipcRenderer.invoke('rename-set', { setId, name }),
+  deleteSet:       (setId)                   => ipcRenderer.invoke('delete-set', setId),
+  addToSet:        (setId, trackId)          => ipcRenderer.invoke('add-to-set', { setId, trackId }),
+  removeFromSet:   (setId, trackId)          => ipcRenderer.invoke('remove-from-set', { setId, trackId }),
+  reorderSet:      (setId, trackIds)         => ipcRenderer.invoke('reorder-set', { setId, trackIds }),
+
+  // Play history
+  getHistory:      ()                        => ipcRenderer.invoke('get-history'),
+  startSession:    (name)                    => ipcRenderer.invoke('start-session', name),
+  endSession:      ()                        => ipcRenderer.invoke('end-session'),
+  logPlay:         (trackId)                 => ipcRenderer.invoke('log-play', trackId),
+
+  // Song requests from the venue network
+  getRequestServer:()                        => ipcRenderer.invoke('get-request-server'),
+  startRequestServer:(port)                  => ipcRenderer.invoke('start-request-server', port),
+  stopRequestServer:()                       => ipcRenderer.invoke('stop-request-server'),
+  resolveSongRequest:(requestId)             => ipcRenderer.invoke('resolve-song-request', requestId),
+  onSongRequest:   (cb)                      => ipcRenderer.on('song-request', (_, request) => cb(request)),
+
+  // Audience display window
+  openDisplay:     ()                        => ipcRenderer.invoke('open-display'),
+  closeDisplay:    ()                        => ipcRenderer.invoke('close-display'),
+  updateDisplay:   (state)                   => ipcRenderer.invoke('update-display', state),
+  onDisplayClosed: (cb)                      => ipcRenderer.on('display-closed', () => cb()),
 
   // Spotify app credentials (Client ID / Secret)
   getCredentials:  ()                        => ipcRenderer.invoke('get-credentials'),
   saveCredentials: (creds)                   => ipcRenderer.invoke('save-credentials', creds),
+  unlockSecrets:   (passphrase)              => ipcRenderer.invoke('unlock-secrets', passphrase),
+  setPassphrase:   (passphrase)              => ipcRenderer.invoke('set-passphrase', passphrase),
 
   // OAuth / user auth (for playback)
   spotifyOAuth:    ()                        => ipcRenderer.invoke('spotify-oauth'),
   exchangeCode:    (code)                    => ipcRenderer.invoke('exchange-code', code),
   refreshToken:    ()                        => ipcRenderer.invoke('refresh-token'),
   getAuth:         ()                        => ipcRenderer.invoke('get-auth'),
+  spotifyRequest:  (path, opts = {})         => ipcRenderer.invoke('spotify-request', { path, ...opts }),
   logout:          ()                        => ipcRenderer.invoke('logout'),
 
   // Misc
+  getPrefs:        ()                        => ipcRenderer.invoke('get-prefs'),
+  savePrefs:       (patch)                   => ipcRenderer.invoke('save-prefs', patch),
   openExternal:    (url)                     => ipcRenderer.invoke('open-external', url),
 });
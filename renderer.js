@@ -8,11 +8,20 @@ let progressTimer   = null;
 let pollInterval    = null;
 let userDisplayName = null;
 let djTracks        = [];       // mirror of saved library (for BPM lookup)
+let djSets          = [];       // mirror of saved DJ sets
+let activeSetId     = null;     // set currently open in the Sets modal
+let djTags          = [];       // user-defined tag definitions
+let selectedTrackIds = new Set(); // multi-select for bulk actions
+let playHistory     = { sessions: [], plays: [], currentSessionId: null };
+let playStats       = new Map(); // trackId → { count, lastPlayedAt, inSession }
+let prefs           = {};       // UI preferences persisted in config.json
+let expandedTrackIds = new Set(); // cards showing their metadata detail
 
 // Polling sync state
 let pollSyncPos  = 0;           // last known position from API (ms)
 let pollSyncAt   = 0;           // Date.now() when we got pollSyncPos
 let pollDuration = 0;
+let pollBusy     = false;       // a poll request is still in flight
 
 // Playback state
 let lastTrackId = null;
@@ -21,6 +30,14 @@ let playbackCommandPending = false;
 let lastPlaybackCommandTime = 0;
 let playTrackPending = false;
 let lastPlayTrackTime = 0;
+let activeDeviceId  = null;     // device Spotify reports as playing
+let deviceVolume    = null;     // its volume (0–100) from the last poll
+let fadeTimer       = null;     // running fade-out, if any
+let fadeStartVol    = null;     // volume to restore once the fade is done
+let fadeResolve     = null;     // settles the promise returned by fadeOut
+let fadeId          = 0;        // bumped on cancel so stale fade steps stop
+let localAudio      = null;     // <audio> element that plays local files
+let localTrackId    = null;     // local track loaded in it; while set, transport goes there
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
@@ -31,6 +48,25 @@ function fmtDuration(secs) {
   return `${m}:${s}`;
 }
 
+const KEY_NAMES = ['C', 'C♯', 'D', 'E♭', 'E', 'F', 'F♯', 'G', 'A♭', 'A', 'B♭', 'B'];
+
+// Pitch class + mode as e.g. "F♯m" / "B♭"; '' when unknown
+function fmtKey(key, mode) {
+  if (key == null) return '';
+  return KEY_NAMES[key] + (mode === 0 ? 'm' : '');
+}
+
+function fmtPct(v) {
+  return v == null ? '—' : `${Math.round(v * 100)}%`;
+}
+
+function fmtTotal(secs) {
+  if (!secs) return '0m';
+  const h = Math.floor(secs / 3600);
+  const m = Math.round((secs % 3600) / 60);
+  return h ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}m`;
+}
+
 function fmtMs(ms) {
   return fmtDuration(Math.floor((ms || 0) / 1000));
 }
@@ -41,12 +77,24 @@ function fmtMsRemaining(posMs, durMs) {
   return `-${fmtMs(rem)}`;
 }
 
-function setStatus(msg, type = '') {
-  const el = document.getElementById('status');
+let statusSeq = 0;               // bumped per message so stale timers don't clear newer ones
+
+// action: optional { label, onClick } rendered as a button after the message
+// (e.g. Undo); such messages stay up a little longer.
+function setStatus(msg, type = '', action = null) {
+  const el  = document.getElementById('status');
+  const seq = ++statusSeq;
   el.textContent = msg;
   el.className = 'status ' + type;
+  if (action) {
+    const btn = document.createElement('button');
+    btn.className = 'status-action';
+    btn.textContent = action.label;
+    btn.addEventListener('click', () => { el.textContent = ''; action.onClick(); });
+    el.appendChild(btn);
+  }
   if (msg && type !== 'error') {
-    setTimeout(() => { if (el.textContent === msg) el.textContent = ''; }, 3500);
+    setTimeout(() => { if (statusSeq === seq) el.textContent = ''; }, action ? 8000 : 3500);
   }
 }
 
@@ -59,12 +107,50 @@ function extractSpotifyUri(text) {
   return null;
 }
 
+function extractSpotifyCollection(text) {
+  if (!text) return null;
+  text = text.trim();
+  if (/^spotify:(playlist|album):[A-Za-z0-9]+$/.test(text)) return text;
+  const m = text.match(/open\.spotify\.com\/(?:intl-[a-z-]+\/)?(playlist|album)\/([A-Za-z0-9]+)/);
+  if (m) return `spotify:${m[1]}:${m[2]}`;
+  return null;
+}
+
 function esc(str) {
   return String(str || '')
     .replace(/&/g, '&amp;').replace(/</g, '&lt;')
     .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
+// Small anchored dropdown; items are { label, onClick, disabled }
+function showPopupMenu(anchor, items) {
+  closePopupMenu();
+  const menu = document.createElement('div');
+  menu.className = 'popup-menu';
+  menu.id = 'popupMenu';
+  items.forEach(item => {
+    const btn = document.createElement('button');
+    btn.className = 'popup-menu-item';
+    btn.textContent = item.label;
+    btn.disabled = !!item.disabled;
+    btn.addEventListener('click', () => { closePopupMenu(); item.onClick?.(); });
+    menu.appendChild(btn);
+  });
+  document.body.appendChild(menu);
+
+  const r = anchor.getBoundingClientRect();
+  const top = Math.min(r.bottom + 4, window.innerHeight - menu.offsetHeight - 8);
+  menu.style.top  = `${Math.max(8, top)}px`;
+  menu.style.left = `${Math.max(8, Math.min(r.left, window.innerWidth - menu.offsetWidth - 8))}px`;
+
+  // Close on the next outside click
+  setTimeout(() => document.addEventListener('click', closePopupMenu, { once: true }), 0);
+}
+
+function closePopupMenu() {
+  document.getElementById('popupMenu')?.remove();
+}
+
 // Helper to determine if an error is transient/non-critical
 function isTransientError(msg) {
   if (!msg) return false;
@@ -100,21 +186,18 @@ async function getValidToken() {
   return null;
 }
 
+// Web API calls go through the main process's client, which handles token
+// refresh, retries and rate limits. Failures throw with err.kind set
+// ('auth', 'rate-limit', 'not-found', 'timeout', …) and err.status.
 async function spotifyFetch(path, opts = {}) {
-  const token = await getValidToken();
-  if (!token) throw new Error('Not authenticated');
-  const res = await fetch(`https://api.spotify.com${path}`, {
-    ...opts,
-    headers: {
-      Authorization: `Bearer ${token}`,
-      'Content-Type': 'application/json',
-      ...(opts.headers || {}),
-    },
-  });
-  if (res.status === 204 || res.status === 202) return null;
-  const data = await res.json();
-  if (!res.ok) throw new Error(data.error?.message || `Spotify error ${res.status}`);
-  return data;
+  const result = await window.api.spotifyRequest(path, { method: opts.method, body: opts.body });
+  if (result.error) {
+    const err = new Error(result.error);
+    err.kind = result.kind;
+    err.status = result.status;
+    throw err;
+  }
+  return result.data;
 }
 
 async function getMe()                  { return spotifyFetch('/v1/me'); }
@@ -122,6 +205,19 @@ async function getDevices()             { const d = await spotifyFetch('/v1/me/p
 async function getSavedTracks(offset=0) { return spotifyFetch(`/v1/me/tracks?limit=50&offset=${offset}`); }
 async function searchTracks(q)          { return spotifyFetch(`/v1/search?q=${encodeURIComponent(q)}&type=track&limit=30`); }
 
+// Every playlist the user can write to (owned or collaborative)
+async function getWritablePlaylists() {
+  const me  = await getMe();
+  const out = [];
+  let next  = '/v1/me/playlists?limit=50';
+  while (next) {
+    const page = await spotifyFetch(next);
+    out.push(...page.items.filter(p => p && (p.owner?.id === me.id || p.collaborative)));
+    next = page.next ? page.next.replace('https://api.spotify.com', '') : null;
+  }
+  return { me, playlists: out };
+}
+
 // ── Polling ───────────────────────────────────────────────────────────────────
 
 function startPolling() {
@@ -138,11 +234,17 @@ function stopPolling() {
 }
 
 async function pollPlaybackState() {
+  if (pollBusy) return;                             // a slow or retried poll is still out
+  pollBusy = true;
   try {
-    const state = await spotifyFetch('/v1/me/player');
+    const state = localTrackId ? localPlayerState() : await spotifyFetch('/v1/me/player');
     if (!state || !state.item) {
-      // Nothing playing — leave bar as-is but stop progress animation
+      // Nothing playing — leave bar as-is but stop progress animation; the
+      // audience display goes back to its idle screen
       clearInterval(progressTimer);
+      checkChosenDevice();
+      nowPlayingInfo = null;
+      pushDisplayState();
       return;
     }
 
@@ -157,6 +259,11 @@ async function pollPlaybackState() {
     pollDuration = durMs;
     lastTrackId  = track.id;
     lastPaused   = !isPlaying;
+    noteActiveDevice(state.device);
+    if (state.device?.volume_percent != null && !fadeTimer) {
+      deviceVolume = state.device.volume_percent;
+      syncVolumeSlider();
+    }
 
     // Update card highlights
     document.querySelectorAll('.track-card').forEach(card => {
@@ -168,8 +275,15 @@ async function pollPlaybackState() {
     // Look up BPM from DJ library
     const libTrack = djTracks.find(t => t.id === track.id);
     const bpm      = libTrack?.bpm ?? null;
+    nowPlayingInfo = { name: track.name, artist: track.artists?.map(a => a.name).join(', ') || '', bpm };
+
+    if (libTrack) maybeLogPlay(track.id, isPlaying, posMs, durMs);
+    scheduleQueueAdvance(track.id, isPlaying, posMs, durMs);
+    if (timedCut.enabled) onTimedCutPoll(track.id, libTrack, isPlaying, posMs);
+    if (track.id !== suggestSeedId) renderSuggestions();
 
     updateBarNowPlaying(track, isPlaying, posMs, durMs, bpm);
+    pushDisplayState();
 
     // Smooth progress between polls
     clearInterval(progressTimer);
@@ -184,15 +298,25 @@ async function pollPlaybackState() {
       }, 250);
     }
   } catch (err) {
-    if (!err.message.includes('Not authenticated')) {
+    if (err.kind !== 'auth') {
       console.warn('Poll error:', err.message);
     }
+  } finally {
+    pollBusy = false;
   }
 }
 
 // ── Playback ──────────────────────────────────────────────────────────────────
 
+// Preferred device (if online) → in-app SDK player → active → first listed
 async function getPlaybackDeviceId() {
+  if (prefs.preferredDevice) {
+    try {
+      const match = findPreferredDevice(await getDevices());
+      if (match) return match.id;
+      warnDeviceMissing(prefs.preferredDevice.name);
+    } catch (e) { console.error('getDevices failed', e); }
+  }
   if (sdkDeviceId) return sdkDeviceId;
   try {
     const devices = await getDevices();
@@ -202,7 +326,91 @@ async function getPlaybackDeviceId() {
   return null;
 }
 
-async function playTrack(trackId) {
+// ── Devices ───────────────────────────────────────────────────────────────────
+
+const DEVICE_ICONS = { computer: '💻', smartphone: '📱', speaker: '🔊', tv: '📺', castvideo: '📺', castaudio: '🔊' };
+const DEVICE_CHECK_MS = 10 * 1000;
+
+let lastDeviceCheck    = 0;
+let deviceMissingNamed = null;  // device we've already warned about
+
+// Device ids can change between sessions, so fall back to matching by name
+function findPreferredDevice(devices) {
+  const preferred = prefs.preferredDevice;
+  if (!preferred) return null;
+  return devices.find(d => d.id === preferred.id) || devices.find(d => d.name === preferred.name) || null;
+}
+
+function warnDeviceMissing(name) {
+  if (deviceMissingNamed === name) return;
+  deviceMissingNamed = name;
+  setStatus(`“${name}” is offline — pick another device from the device menu.`, 'error');
+}
+
+// Poll found nothing playing: check (occasionally) whether the chosen device has gone
+async function checkChosenDevice() {
+  if (!prefs.preferredDevice || Date.now() - lastDeviceCheck < DEVICE_CHECK_MS) return;
+  lastDeviceCheck = Date.now();
+  try {
+    const devices = await getDevices();
+    if (!findPreferredDevice(devices)) warnDeviceMissing(prefs.preferredDevice.name);
+  } catch (e) { console.warn('Device check failed:', e.message); }
+}
+
+function noteActiveDevice(device) {
+  const prevId = activeDeviceId;
+  activeDeviceId = device?.id || null;
+  const label = document.getElementById('deviceBtn');
+  if (label && device) label.textContent = `${DEVICE_ICONS[(device.type || '').toLowerCase()] || '🔈'} ${device.name}`;
+  if (device && prefs.preferredDevice && findPreferredDevice([device])) deviceMissingNamed = null;
+  if (prevId && device && prevId !== device.id) setStatus(`Playback moved to ${device.name}`, 'info');
+}
+
+async function showDeviceMenu(anchor) {
+  let devices;
+  try { devices = await getDevices(); }
+  catch (err) { setStatusError(err.message || 'Could not list devices'); return; }
+
+  const preferred = findPreferredDevice(devices);
+  const items = devices.map(d => ({
+    label: `${d.is_active ? '● ' : '○ '}${DEVICE_ICONS[(d.type || '').toLowerCase()] || '🔈'} ${d.name} · ${d.type}` +
+      `${d.volume_percent != null ? ` · ${d.volume_percent}%` : ''}${d === preferred ? ' ★' : ''}`,
+    disabled: d.is_restricted,
+    onClick: () => transferPlayback(d),
+  }));
+  if (!items.length) items.push({ label: 'No devices online — open Spotify somewhere', disabled: true });
+  if (prefs.preferredDevice) {
+    items.push({ label: `Forget preferred device (${prefs.preferredDevice.name})`, onClick: async () => {
+      prefs.preferredDevice = null;
+      deviceMissingNamed = null;
+      await window.api.savePrefs({ preferredDevice: null });
+      setStatus('Preferred device cleared.', 'ok');
+    } });
+  }
+  showPopupMenu(anchor, items);
+}
+
+// Moves playback (position included) and remembers the device as preferred
+async function transferPlayback(device) {
+  try {
+    await spotifyFetch('/v1/me/player', {
+      method: 'PUT',
+      body: JSON.stringify({ device_ids: [device.id], play: !lastPaused }),
+    });
+    prefs.preferredDevice = { id: device.id, name: device.name };
+    deviceMissingNamed = null;
+    await window.api.savePrefs({ preferredDevice: prefs.preferredDevice });
+    setStatus(`Playing on ${device.name}`, 'ok');
+    setTimeout(pollPlaybackState, 600);
+  } catch (err) {
+    setStatusError(err.message || 'Transfer failed');
+  }
+}
+
+async function playTrack(trackId, positionMs = 0) {
+  const libTrack = djTracks.find(t => t.id === trackId);
+  if (libTrack && isLocalTrack(libTrack)) { await playLocalTrack(libTrack, positionMs); return; }
+
   // Prevent rapid successive commands
   if (playTrackPending) return;
   const now = Date.now();
@@ -218,13 +426,15 @@ async function playTrack(trackId) {
     return;
   }
   
+  if (localTrackId) stopLocalPlayback();
+
   // Trigger poll immediately for responsive UI, then make request
   setTimeout(pollPlaybackState, 100);
   
   try {
     await spotifyFetch(`/v1/me/player/play?device_id=${deviceId}`, {
       method: 'PUT',
-      body: JSON.stringify({ uris: [`spotify:track:${trackId}`] }),
+      body: JSON.stringify({ uris: [`spotify:track:${trackId}`], ...(positionMs ? { position_ms: positionMs } : {}) }),
     });
   } catch (err) {
     setStatusError(err.message || 'Playback failed');
@@ -234,6 +444,8 @@ async function playTrack(trackId) {
 }
 
 async function togglePlayPause() {
+  if (localTrackId) { toggleLocalPlayback(); return; }
+
   // Prevent rapid successive commands (Spotify throttles these)
   if (playbackCommandPending) return;
   const now = Date.now();
@@ -272,6 +484,283 @@ async function togglePlayPause() {
   }
 }
 
+// ── Transport ─────────────────────────────────────────────────────────────────
+
+const FADE_DEFAULT_SECS = 8;
+
+// True when Spotify is playing through the in-app SDK player
+function isSdkActive() {
+  return !!(spotifyPlayer && sdkDeviceId && (!activeDeviceId || activeDeviceId === sdkDeviceId));
+}
+
+async function seekTo(posMs) {
+  pollSyncPos = posMs; pollSyncAt = Date.now();
+  updateProgressEl(posMs, pollDuration);
+  try {
+    if (localTrackId) localAudio.currentTime = posMs / 1000;
+    else if (isSdkActive()) await spotifyPlayer.seek(posMs);
+    else await spotifyFetch(`/v1/me/player/seek?position_ms=${posMs}`, { method: 'PUT' });
+  } catch (err) {
+    setStatusError(err.message || 'Seek failed');
+  }
+  setTimeout(pollPlaybackState, 400);
+}
+
+async function skipNext() {
+  if (djQueue.length) { await advanceQueue(); return; }
+  if (localTrackId) {
+    // Nothing queued: run the file to its end
+    if (Number.isFinite(localAudio.duration)) localAudio.currentTime = localAudio.duration;
+    return;
+  }
+  try {
+    if (isSdkActive()) await spotifyPlayer.nextTrack();
+    else await spotifyFetch('/v1/me/player/next', { method: 'POST' });
+  } catch (err) {
+    setStatusError(err.message || 'Skip failed');
+  }
+  setTimeout(pollPlaybackState, 400);
+}
+
+async function skipPrevious() {
+  // Most tracks are played as single URIs, so "previous" usually means restart
+  if (localTrackId) { localAudio.currentTime = 0; return; }
+  try {
+    if (isSdkActive()) await spotifyPlayer.previousTrack();
+    else await spotifyFetch('/v1/me/player/previous', { method: 'POST' });
+  } catch (err) {
+    setStatusError(err.message || 'Skip failed');
+  }
+  setTimeout(pollPlaybackState, 400);
+}
+
+async function setVolume(percent) {
+  const pct = Math.max(0, Math.min(100, Math.round(percent)));
+  if (localTrackId) localAudio.volume = pct / 100;
+  else if (isSdkActive()) await spotifyPlayer.setVolume(pct / 100);
+  else await spotifyFetch(`/v1/me/player/volume?volume_percent=${pct}`, { method: 'PUT' });
+}
+
+function syncVolumeSlider() {
+  const el = document.getElementById('volumeSlider');
+  if (el && deviceVolume != null) el.value = deviceVolume;
+}
+
+async function pausePlayback() {
+  if (localTrackId) localAudio.pause();
+  else if (isSdkActive()) await spotifyPlayer.pause();
+  else await spotifyFetch('/v1/me/player/pause', { method: 'PUT' });
+  lastPaused = true;
+  clearInterval(progressTimer);
+  const ppBtn = document.getElementById('playPauseBtn');
+  if (ppBtn) ppBtn.textContent = '▶';
+}
+
+// Ramps volume to zero over `seconds`, pauses, then puts the volume back so
+// the next track doesn't start silent. The Web API gets fewer, larger
+// steps than the SDK because it is rate limited. Resolves true once the
+// fade has finished, false if it was cancelled.
+function fadeOut(seconds) {
+  if (lastPaused) return Promise.resolve(false);
+  cancelFade();
+  const startVol = fadeStartVol = deviceVolume ?? 80;
+  const stepMs   = isSdkActive() || localTrackId ? 150 : 500;
+  const steps    = Math.max(1, Math.round((seconds * 1000) / stepMs));
+  const id       = ++fadeId;
+  let   step     = 0;
+
+  const btn = document.getElementById('fadeBtn');
+  if (btn) { btn.classList.add('active'); btn.textContent = 'Cancel'; }
+
+  return new Promise(resolve => {
+    fadeResolve = resolve;
+    const tick = async () => {
+      step++;
+      const vol = startVol * (1 - step / steps);
+      try { await setVolume(vol); } catch (err) { console.warn('Fade step failed:', err.message); }
+      if (id !== fadeId) return;                      // cancelled meanwhile
+      const el = document.getElementById('volumeSlider');
+      if (el) el.value = Math.round(vol);
+
+      if (step < steps) { fadeTimer = setTimeout(tick, stepMs); return; }
+      try {
+        await pausePlayback();
+        await setVolume(startVol);
+      } catch (err) {
+        setStatusError(err.message || 'Fade failed');
+      }
+      deviceVolume = startVol;
+      fadeResolve = null;
+      cancelFade();
+      resolve(true);
+    };
+    fadeTimer = setTimeout(tick, stepMs);
+  });
+}
+
+function cancelFade(restore = false) {
+  const startVol = fadeStartVol;
+  fadeId++;
+  clearTimeout(fadeTimer);
+  fadeTimer = null;
+  fadeStartVol = null;
+  if (fadeResolve) { fadeResolve(false); fadeResolve = null; }
+  const btn = document.getElementById('fadeBtn');
+  if (btn) { btn.classList.remove('active'); btn.textContent = 'Fade'; }
+  if (restore && startVol != null) {
+    deviceVolume = startVol;
+    syncVolumeSlider();
+    setVolume(startVol).catch(err => console.warn('Volume restore failed:', err.message));
+  }
+}
+
+// ── Timed cut ─────────────────────────────────────────────────────────────────
+
+// Competition/jam mode: every track is cut after a fixed length, counted
+// from its intro-skip offset. The fade starts early enough to end on time.
+const timedCut = {
+  enabled:   false,
+  length:    90,                // seconds of each track to play
+  action:    'stop',            // 'stop' or 'advance' (to the next queued track)
+  round:     1,                 // heat / round counter shown in the bar
+  trackId:   null,              // track the countdown belongs to
+  startMs:   0,                 // position the countdown starts from
+  cutting:   false,             // fade for this track already started
+  lastPosMs: 0,                 // position on the previous poll, to spot a replay
+};
+const CUT_RESTART_MS = 5 * 1000;  // back this near the start counts as playing the track again
+let timedCutTimer = null;
+
+// "m:ss" or plain seconds ("120")
+function parseClock(text) {
+  const m = String(text).trim().match(/^(?:(\d+):(\d{1,2}(?:\.\d+)?)|(\d+(?:\.\d+)?))$/);
+  if (!m) return null;
+  return m[3] != null ? parseFloat(m[3]) : parseInt(m[1], 10) * 60 + parseFloat(m[2]);
+}
+
+function setupTimedCut() {
+  Object.assign(timedCut, {
+    length: prefs.cutLength || timedCut.length,
+    action: prefs.cutAction || timedCut.action,
+  });
+}
+
+function setTimedCutEnabled(on) {
+  timedCut.enabled = on;
+  timedCut.trackId = null;
+  timedCut.cutting = false;
+  clearInterval(timedCutTimer);
+  if (on) {
+    // Start counting from wherever the current track is now
+    timedCut.trackId = lastTrackId;
+    timedCut.startMs = pollSyncPos + (lastPaused ? 0 : Date.now() - pollSyncAt);
+    timedCutTimer = setInterval(tickTimedCut, 250);
+  }
+  renderTimedCut();
+}
+
+// New track from the poll: jump past its intro and restart the countdown
+function onTimedCutPoll(trackId, libTrack, isPlaying, posMs) {
+  const skipMs    = (libTrack?.introSkip || 0) * 1000;
+  const restarted = posMs < skipMs + CUT_RESTART_MS && timedCut.lastPosMs > posMs + CUT_RESTART_MS;
+  timedCut.lastPosMs = posMs;
+  if (trackId === timedCut.trackId && !restarted) return;
+  timedCut.trackId = trackId;
+  timedCut.cutting = false;
+  timedCut.startMs = Math.max(posMs, skipMs);
+  if (skipMs && posMs < skipMs && isPlaying) seekTo(skipMs);
+}
+
+function timedCutRemaining() {
+  const pos = pollSyncPos + (lastPaused ? 0 : Date.now() - pollSyncAt);
+  return timedCut.length * 1000 - (pos - timedCut.startMs);
+}
+
+async function tickTimedCut() {
+  renderTimedCut();
+  if (!timedCut.trackId || timedCut.cutting || lastPaused) return;
+
+  const fadeMs = (prefs.fadeSeconds || FADE_DEFAULT_SECS) * 1000;
+  if (timedCutRemaining() > fadeMs) return;
+
+  timedCut.cutting = true;
+  const finished = await fadeOut(Math.max(1, timedCutRemaining() / 1000));
+  if (!finished || !timedCut.enabled) return;
+
+  timedCut.round++;
+  renderTimedCut();
+  if (timedCut.action === 'advance') {
+    if (djQueue.length) await advanceQueue();
+    else setStatus('Timed cut: queue is empty, stopped.', 'info');
+  }
+}
+
+function renderTimedCut() {
+  const el  = document.getElementById('barCut');
+  const btn = document.getElementById('cutBtn');
+  if (!el) return;
+  btn?.classList.toggle('active', timedCut.enabled);
+  el.classList.toggle('hidden', !timedCut.enabled);
+  if (!timedCut.enabled) return;
+
+  const remaining = timedCut.trackId ? Math.max(0, timedCutRemaining()) : timedCut.length * 1000;
+  el.classList.toggle('warn', remaining <= 10000);
+  el.innerHTML = `
+    <div class="bar-cut-time">${remaining > 0 ? fmtMs(remaining + 999) : '0:00'}</div>
+    <div class="bar-cut-round">Heat ${timedCut.round}</div>
+  `;
+}
+
+function showTimedCutMenu(anchor) {
+  closePopupMenu();
+  const pop = document.createElement('div');
+  pop.className = 'popup-menu cut-menu';
+  pop.id = 'popupMenu';
+  pop.addEventListener('click', e => e.stopPropagation());
+  pop.innerHTML = `
+    <label class="cut-row"><input type="checkbox" id="cutEnabled" ${timedCut.enabled ? 'checked' : ''} /> Timed-cut mode</label>
+    <label class="cut-row">Cut after
+      <input type="text" id="cutLength" value="${fmtDuration(timedCut.length)}" title="m:ss" />
+    </label>
+    <label class="cut-row">Then
+      <select id="cutAction">
+        <option value="stop" ${timedCut.action === 'stop' ? 'selected' : ''}>fade and stop</option>
+        <option value="advance" ${timedCut.action === 'advance' ? 'selected' : ''}>fade and play next queued</option>
+      </select>
+    </label>
+    <div class="cut-row">Heat
+      <button class="btn-icon" id="cutRoundDown">−</button>
+      <strong id="cutRound">${timedCut.round}</strong>
+      <button class="btn-icon" id="cutRoundUp">+</button>
+      <button class="btn-icon" id="cutRoundReset">Reset</button>
+    </div>
+  `;
+  document.body.appendChild(pop);
+
+  pop.querySelector('#cutEnabled').addEventListener('change', e => setTimedCutEnabled(e.target.checked));
+  pop.querySelector('#cutLength').addEventListener('change', e => {
+    const secs = parseClock(e.target.value);
+    if (!secs || secs < 10) { e.target.value = fmtDuration(timedCut.length); return; }
+    timedCut.length = Math.round(secs);
+    e.target.value = fmtDuration(timedCut.length);
+    window.api.savePrefs({ cutLength: timedCut.length });
+    renderTimedCut();
+  });
+  pop.querySelector('#cutAction').addEventListener('change', e => {
+    timedCut.action = e.target.value;
+    window.api.savePrefs({ cutAction: timedCut.action });
+  });
+  const setRound = n => { timedCut.round = Math.max(1, n); pop.querySelector('#cutRound').textContent = timedCut.round; renderTimedCut(); };
+  pop.querySelector('#cutRoundDown').addEventListener('click', () => setRound(timedCut.round - 1));
+  pop.querySelector('#cutRoundUp').addEventListener('click', () => setRound(timedCut.round + 1));
+  pop.querySelector('#cutRoundReset').addEventListener('click', () => setRound(1));
+
+  const r = anchor.getBoundingClientRect();
+  pop.style.left = `${Math.max(8, Math.min(r.left, window.innerWidth - pop.offsetWidth - 8))}px`;
+  pop.style.top  = `${Math.max(8, r.top - pop.offsetHeight - 6)}px`;
+  setTimeout(() => document.addEventListener('click', closePopupMenu, { once: true }), 0);
+}
+
 // ── SDK ───────────────────────────────────────────────────────────────────────
 
 function initPlayer(token) {
@@ -287,7 +776,7 @@ function initPlayer(token) {
     spotifyPlayer.addListener('not_ready', ()              => { sdkDeviceId = null; });
     spotifyPlayer.addListener('player_state_changed', state => {
       // SDK events complement the poll, don't replace it
-      if (state) { lastTrackId = state.track_window?.current_track?.id || null; lastPaused = state.paused; }
+      if (state && !localTrackId) { lastTrackId = state.track_window?.current_track?.id || null; lastPaused = state.paused; }
     });
     spotifyPlayer.addListener('initialization_error', ({ message }) => console.warn('SDK init:', message));
     spotifyPlayer.addListener('authentication_error', ({ message }) => console.warn('SDK auth:', message));
@@ -325,18 +814,85 @@ function renderBarLoggedIn(displayName) {
           <span id="progressCurrent">0:00</span>
           <span id="progressRemaining"></span>
         </div>
-        <div class="progress-bar-bg">
-          <div class="progress-bar-fill" id="progressFill"></div>
+        <div class="progress-hit" id="progressHit" title="Click to seek">
+          <div class="progress-bar-bg">
+            <div class="progress-bar-fill" id="progressFill"></div>
+          </div>
+          <div class="progress-cues" id="progressCues"></div>
         </div>
       </div>
     </div>
     <div class="bar-bpm" id="barBpm"></div>
+    <div class="bar-next" id="barNext"></div>
     <div class="playback-controls">
+      <button class="ctrl-btn ctrl-btn-sm" id="prevBtn" title="Previous / restart">⏮</button>
       <button class="ctrl-btn" id="playPauseBtn" disabled title="Play / Pause">▶</button>
+      <button class="ctrl-btn ctrl-btn-sm" id="nextBtn" title="Next (queue first)">⏭</button>
     </div>
-    <button class="logout-btn" id="logoutBtn">Logout</button>
+    <div class="bar-volume">
+      <span class="bar-volume-icon">🔈</span>
+      <input type="range" id="volumeSlider" min="0" max="100" step="1" title="Volume" />
+    </div>
+    <div class="bar-cut hidden" id="barCut"></div>
+    <div class="bar-fade">
+      <button class="fade-btn" id="cueBtn" title="Add a cue point at the playhead">◆</button>
+      <button class="fade-btn" id="cutBtn" title="Timed-cut mode for competitions and jams">⏱</button>
+      <button class="fade-btn" id="fadeBtn" title="Fade out, then pause">Fade</button>
+      <input type="number" id="fadeSecs" min="1" max="60" title="Fade length (seconds)" />
+    </div>
+    ${accessToken ? `
+    <button class="device-btn" id="deviceBtn" title="Choose playback device">🔈 Devices</button>
+    <button class="logout-btn" id="logoutBtn">Logout</button>` : `
+    <button class="logout-btn" id="loginBtn">Login with Spotify</button>`}
   `;
   document.getElementById('playPauseBtn').addEventListener('click', togglePlayPause);
+  document.getElementById('prevBtn').addEventListener('click', skipPrevious);
+  document.getElementById('deviceBtn')?.addEventListener('click', e => showDeviceMenu(e.currentTarget));
+  document.getElementById('nextBtn').addEventListener('click', skipNext);
+  document.getElementById('progressHit').addEventListener('click', e => {
+    if (!pollDuration) return;
+    const r = e.currentTarget.getBoundingClientRect();
+    seekTo(Math.round(((e.clientX - r.left) / r.width) * pollDuration));
+  });
+  document.getElementById('progressCues').addEventListener('click', e => {
+    const marker = e.target.closest('.progress-cue');
+    if (!marker) return;
+    e.stopPropagation();
+    seekTo(parseInt(marker.dataset.position, 10));
+  });
+  document.getElementById('cueBtn').addEventListener('click', () => {
+    const track = djTracks.find(t => t.id === lastTrackId);
+    if (!track) { setStatus('Cue points can only be added to tracks in your library.', 'info'); return; }
+    addCueAtPlayhead(track);
+  });
+
+  const volumeEl = document.getElementById('volumeSlider');
+  let volumeTimer = null;
+  volumeEl.addEventListener('input', () => {
+    cancelFade();
+    deviceVolume = parseInt(volumeEl.value, 10);
+    // The Web API endpoint is rate limited; only send once the slider settles
+    clearTimeout(volumeTimer);
+    volumeTimer = setTimeout(() => {
+      setVolume(deviceVolume).catch(err => setStatusError(err.message || 'Volume change failed'));
+    }, isSdkActive() ? 0 : 200);
+  });
+  syncVolumeSlider();
+
+  const fadeSecsEl = document.getElementById('fadeSecs');
+  fadeSecsEl.value = prefs.fadeSeconds || FADE_DEFAULT_SECS;
+  fadeSecsEl.addEventListener('change', () => {
+    prefs.fadeSeconds = Math.min(60, Math.max(1, parseInt(fadeSecsEl.value, 10) || FADE_DEFAULT_SECS));
+    fadeSecsEl.value = prefs.fadeSeconds;
+    window.api.savePrefs({ fadeSeconds: prefs.fadeSeconds });
+  });
+  document.getElementById('fadeBtn').addEventListener('click', () => {
+    if (fadeTimer) cancelFade(true);
+    else fadeOut(prefs.fadeSeconds || FADE_DEFAULT_SECS);
+  });
+  document.getElementById('cutBtn').addEventListener('click', e => showTimedCutMenu(e.currentTarget));
+  renderTimedCut();
+  if (!accessToken) { document.getElementById('loginBtn').addEventListener('click', handleLogin); return; }
   document.getElementById('logoutBtn').addEventListener('click', handleLogout);
   document.getElementById('browseBtn').classList.remove('hidden');
 }
@@ -355,6 +911,7 @@ function updateBarNowPlaying(track, isPlaying, posMs, durMs, bpm) {
 
   if (barCenter) barCenter.style.display = '';
   updateProgressEl(posMs, durMs);
+  renderBarCues();
 
   if (bpmEl)  bpmEl.textContent  = bpm ? `${bpm} BPM` : '';
   if (ppBtn) { ppBtn.disabled = false; ppBtn.textContent = isPlaying ? '⏸' : '▶'; }
@@ -368,6 +925,7 @@ function updateProgressEl(posMs, durMs) {
   fill.style.width = durMs ? `${Math.min(100, (posMs / durMs) * 100)}%` : '0%';
   if (curr) curr.textContent = fmtMs(posMs);
   if (rem)  rem.textContent  = durMs ? fmtMsRemaining(posMs, durMs) : '';
+  updateBarNext(posMs, durMs);
 }
 
 // ── Auth flow ─────────────────────────────────────────────────────────────────
@@ -398,6 +956,8 @@ async function handleLogout() {
   if (spotifyPlayer) { spotifyPlayer.disconnect(); spotifyPlayer = null; }
   sdkDeviceId = null; accessToken = null; tokenExpiry = null;
   userDisplayName = null; lastTrackId = null; lastPaused = true;
+  nowPlayingInfo = null;
+  pushDisplayState();
 
   document.querySelectorAll('.track-card').forEach(card => {
     card.classList.remove('playing');
@@ -406,7 +966,8 @@ async function handleLogout() {
   });
 
   await window.api.logout();
-  renderBarLoggedOut();
+  if (localTrackId) { renderBarLoggedIn(null); startPolling(); }   // keep the local file's controls
+  else renderBarLoggedOut();
 }
 
 // ── Library browser ───────────────────────────────────────────────────────────
@@ -544,70 +1105,636 @@ function renderBrowserRows(tracks, reset) {
 
 function renderTracks(tracks) {
   djTracks = tracks; // keep in sync for BPM lookup during playback
+  renderTrackList();
+  renderSuggestions();
+}
+
+// Renders the filtered/sorted view of djTracks; never hits main
+function renderTrackList() {
+  if (tapSession && !document.body.contains(tapSession.card)) stopTapTempo();
 
   const list  = document.getElementById('trackList');
   const empty = document.getElementById('emptyState');
   const count = document.getElementById('trackCount');
 
-  count.textContent = tracks.length ? `${tracks.length} track${tracks.length !== 1 ? 's' : ''}` : '';
+  const visible = filterAndSortTracks(djTracks);
+  const total   = djTracks.length;
+  count.textContent = !total ? ''
+    : visible.length === total ? `${total} track${total !== 1 ? 's' : ''}`
+    : `${visible.length} of ${total} tracks`;
 
-  if (!tracks.length) { list.innerHTML = ''; list.appendChild(empty); return; }
+  if (!total) {
+    empty.textContent = 'No tracks yet — drop one above to get started.';
+    list.innerHTML = ''; list.appendChild(empty); return;
+  }
+  if (!visible.length) {
+    empty.textContent = 'No tracks match the current filters.';
+    list.innerHTML = ''; list.appendChild(empty); return;
+  }
   empty.remove(); list.innerHTML = '';
 
-  [...tracks].reverse().forEach(track => {
-    const card = document.createElement('div');
-    card.className = 'track-card' + (track.id === lastTrackId ? ' playing' : '');
-    card.dataset.id = track.id;
+  visible.forEach(track => list.appendChild(createTrackCard(track)));
+}
 
-    card.innerHTML = `
-      <button class="play-btn" title="Play">${(track.id === lastTrackId && !lastPaused) ? '⏸' : '▶'}</button>
-      <div class="track-main">
-        <div class="track-name">${esc(track.name)}</div>
-        <div class="track-meta">${esc(track.artist)}<span class="album"> · ${esc(track.album)}</span></div>
-      </div>
-      <div class="track-badges">
-        <span class="badge badge-bpm" title="Click to edit BPM">${track.bpm ? `${track.bpm} BPM` : '— BPM'}</span>
-        <span class="badge badge-duration">${fmtDuration(track.duration)}</span>
-      </div>
-      <div class="track-notes-row">
-        <textarea class="track-notes" rows="1" placeholder="Add a note…">${esc(track.notes || '')}</textarea>
-      </div>
-      <div class="track-actions">
-        <button class="btn-icon delete-btn">✕ Remove</button>
-      </div>
-    `;
+function renderTagChips(tagIds = []) {
+  return tagIds
+    .map(id => djTags.find(t => t.id === id))
+    .filter(Boolean)
+    .map(t => `<span class="tag-chip" style="--tag-color:${esc(t.color)}">${esc(t.name)}</span>`)
+    .join('');
+}
+
+function createTrackCard(track) {
+  const card = document.createElement('div');
+  card.className = 'track-card' + (track.id === lastTrackId ? ' playing' : '') +
+    (selectedTrackIds.has(track.id) ? ' selected' : '') +
+    (playStats.get(track.id)?.inSession ? ' played-session' : '');
+  card.dataset.id = track.id;
+
+  card.innerHTML = `
+    <button class="play-btn" title="Play">${(track.id === lastTrackId && !lastPaused) ? '⏸' : '▶'}</button>
+    <div class="track-main">
+      <div class="track-name">${esc(track.name)}</div>
+      <div class="track-meta">${esc(track.artist)}<span class="album"> · ${esc(track.album)}</span></div>
+      <div class="track-tags">${renderTagChips(track.tags)}</div>
+      <div class="track-history">${renderPlayStats(track.id)}</div>
+    </div>
+    <div class="track-badges">
+      ${AVAILABILITY_BADGES[track.availability] ? `<span class="badge badge-availability" title="${AVAILABILITY_BADGES[track.availability].title}">${AVAILABILITY_BADGES[track.availability].text}</span>` : ''}
+      ${isLocalTrack(track) ? `<span class="badge badge-local" title="${esc(track.filePath)}">Local</span>` : ''}
+      ${track.explicit ? '<span class="badge badge-explicit" title="Explicit">E</span>' : ''}
+      ${track.key != null ? `<span class="badge badge-key" title="Key">${fmtKey(track.key, track.mode)}</span>` : ''}
+      ${track.timeSignature && track.timeSignature !== 4 ? `<span class="badge badge-meter" title="Time signature">${track.timeSignature}/4</span>` : ''}
+      ${track.energy != null ? `<span class="badge badge-energy" title="Energy">⚡ ${fmtPct(track.energy)}</span>` : ''}
+      <span class="badge badge-bpm" title="Click to edit BPM">${track.bpm ? `${track.bpm} BPM` : '— BPM'}</span>
+      ${track.introSkip ? `<span class="badge badge-intro" title="Intro skip (timed-cut mode)">⤼ ${fmtDuration(track.introSkip)}</span>` : ''}
+      <span class="badge badge-duration">${fmtDuration(track.duration)}</span>
+    </div>
+    <div class="track-notes-row">
+      <textarea class="track-notes" rows="1" placeholder="Add a note…">${esc(track.notes || '')}</textarea>
+      <div class="track-cues">${renderCueRow(track)}</div>
+    </div>
+    <div class="track-actions">
+      <button class="btn-icon detail-btn">${expandedTrackIds.has(track.id) ? '▾' : '▸'} Details</button>
+      <button class="btn-icon select-btn">${selectedTrackIds.has(track.id) ? '☑' : '☐'} Select</button>
+      <button class="btn-icon tags-btn">🏷 Tags</button>
+      <button class="btn-icon tap-tempo-btn">♩ Tap BPM</button>
+      <button class="btn-icon intro-btn" title="Where timed-cut mode starts this track">⤼ Intro</button>
+      <button class="btn-icon cue-btn" title="Add a cue point at the playhead">◆ Cue</button>
+      <button class="btn-icon add-queue-btn">+ Queue</button>
+      <button class="btn-icon add-set-btn">+ Set</button>
+      <button class="btn-icon delete-btn">✕ Remove</button>
+    </div>
+  `;
+
+  card.querySelector('.play-btn').addEventListener('click', async () => {
+    const isThisPlaying = lastTrackId === track.id && !lastPaused;
+    if (isThisPlaying) await togglePlayPause();
+    else               await playTrack(track.id);
+  });
+
+  card.querySelector('.badge-bpm').addEventListener('click', () => startBpmEdit(card, track));
+
+  const notesEl = card.querySelector('.track-notes');
+  notesEl.addEventListener('input', autoResizeTextarea);
+  notesEl.addEventListener('blur', async () => {
+    if (notesEl.value !== (track.notes || '')) {
+      const before = track.notes || '';
+      const value  = notesEl.value;
+      const result = await window.api.updateTrack(track.id, 'notes', value);
+      if (result.error) { setStatus(`Notes not saved: ${result.error}`, 'error'); return; }
+      track.notes = value;
+      pushFieldUndo(track, 'notes', 'notes', before, value);
+    }
+  });
+  requestAnimationFrame(() => autoResizeTextarea.call(notesEl));
+
+  if (expandedTrackIds.has(track.id)) card.appendChild(renderTrackDetail(track));
+  card.querySelector('.detail-btn').addEventListener('click', e => {
+    const open = !expandedTrackIds.has(track.id);
+    if (open) { expandedTrackIds.add(track.id); card.appendChild(renderTrackDetail(track)); }
+    else      { expandedTrackIds.delete(track.id); card.querySelector('.track-detail')?.remove(); }
+    e.currentTarget.textContent = `${open ? '▾' : '▸'} Details`;
+  });
+  card.querySelector('.select-btn').addEventListener('click', () => toggleTrackSelection(track.id));
+  card.querySelector('.track-main').addEventListener('click', e => {
+    if (e.metaKey || e.ctrlKey) toggleTrackSelection(track.id);
+    else if (e.shiftKey)        selectTrackRange(track.id);
+  });
+  card.querySelector('.tags-btn').addEventListener('click', e => showTagEditor(e.currentTarget, [track.id]));
+  card.querySelector('.tap-tempo-btn').addEventListener('click', () => startTapTempo(card, track));
+  card.querySelector('.intro-btn').addEventListener('click', () => startIntroEdit(card, track));
+  card.querySelector('.cue-btn').addEventListener('click', () => addCueAtPlayhead(track, true));
+  setupCueRow(card, track);
+  card.querySelector('.add-queue-btn').addEventListener('click', () => addToQueue([track.id]));
+  card.querySelector('.add-set-btn').addEventListener('click', e => showAddToSetMenu(e.currentTarget, track));
+
+  card.querySelector('.delete-btn').addEventListener('click', async () => {
+    card.style.opacity = '0.4';
+    try {
+      let removed = await removeTrack(track.id);
+      pushUndo(`remove “${track.name}”`,
+        () => restoreTrack(removed),
+        async () => { removed = await removeTrack(track.id); });
+      setStatus(`Track removed — ${track.name}`, 'ok', { label: 'Undo', onClick: undoLast });
+    } catch (err) {
+      card.style.opacity = '';
+      setStatus(err.message, 'error');
+    }
+  });
+
+  return card;
+}
+
+// Everything Spotify told us about a track, for the expandable card detail
+function renderTrackDetail(track) {
+  const rows = [
+    ['Key',              track.key != null ? `${fmtKey(track.key, track.mode)} (${track.mode === 0 ? 'minor' : 'major'})` : '—'],
+    ['Time signature',   track.timeSignature ? `${track.timeSignature}/4` : '—'],
+    ['Tempo confidence', fmtPct(track.tempoConfidence)],
+    ['Energy',           fmtPct(track.energy)],
+    ['Danceability',     fmtPct(track.danceability)],
+    ['Valence',          fmtPct(track.valence)],
+    ['Released',         track.releaseYear || '—'],
+    ['Popularity',       track.popularity != null ? `${track.popularity} / 100` : '—'],
+    ['Explicit',         track.explicit == null ? '—' : track.explicit ? 'Yes' : 'No'],
+  ];
+  if (isLocalTrack(track)) rows.push(['File', track.filePath]);
+  const el = document.createElement('div');
+  el.className = 'track-detail';
+  el.innerHTML = rows.map(([label, value]) =>
+    `<div class="track-detail-item"><span>${label}</span>${esc(String(value))}</div>`).join('');
+  return el;
+}
+
+// Deletes a track everywhere (library, sets, queue) and returns what undo
+// needs to put it back
+async function removeTrack(trackId) {
+  const result = await window.api.deleteTrack(trackId);
+  if (result.error) throw new Error(result.error);
+  const removed = { ...result.removed, queueIndex: djQueue.indexOf(trackId) };
+  djTracks = djTracks.filter(t => t.id !== trackId);
+  djSets.forEach(set => { set.trackIds = set.trackIds.filter(id => id !== trackId); });
+  selectedTrackIds.delete(trackId);
+  if (removed.queueIndex >= 0) { djQueue = djQueue.filter(id => id !== trackId); saveQueue(); renderQueue(); updateBarNext(); }
+  renderTrackList();
+  renderSuggestions();
+  return removed;
+}
+
+async function restoreTrack(removed) {
+  const result = await window.api.restoreTrack(removed);
+  if (result.error) throw new Error(result.error);
+  if (!result.duplicate) djTracks.splice(Math.min(removed.index, djTracks.length), 0, result.track);
+  djSets = await window.api.getSets();
+  if (removed.queueIndex >= 0 && !djQueue.includes(removed.track.id)) {
+    djQueue.splice(Math.min(removed.queueIndex, djQueue.length), 0, removed.track.id);
+    saveQueue(); renderQueue(); updateBarNext();
+  }
+  renderTrackList();
+  renderSuggestions();
+}
+
+// ── Undo / redo ───────────────────────────────────────────────────────────────
+// Each entry is recorded after its edit has been saved. undo() and redo()
+// re-apply the old / new state through the usual IPC calls and throw if
+// that fails, in which case the entry stays where it was.
+
+const UNDO_LIMIT = 50;
+const undoStack  = [];
+const redoStack  = [];
+
+function pushUndo(label, undo, redo) {
+  undoStack.push({ label, undo, redo });
+  if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+  redoStack.length = 0;
+}
+
+async function stepHistory(from, to, run, verb) {
+  const entry = from.pop();
+  if (!entry) { setStatus(`Nothing to ${verb.toLowerCase()}.`, 'info'); return; }
+  try {
+    await entry[run]();
+    to.push(entry);
+    setStatus(`${verb === 'Undo' ? 'Undid' : 'Redid'} ${entry.label}`, 'ok');
+  } catch (err) {
+    from.push(entry);
+    setStatus(`Couldn't ${verb.toLowerCase()} ${entry.label}: ${err.message}`, 'error');
+  }
+}
+
+function undoLast() { return stepHistory(undoStack, redoStack, 'undo', 'Undo'); }
+function redoLast() { return stepHistory(redoStack, undoStack, 'redo', 'Redo'); }
+
+// Saves one editable field and refreshes the card; used by undo entries
+async function applyTrackField(trackId, field, value) {
+  const track = djTracks.find(t => t.id === trackId);
+  if (!track) throw new Error('the track is no longer in the library');
+  const result = field === 'bpm'
+    ? await setTrackBpm(track, value)
+    : await window.api.updateTrack(trackId, field, value);
+  if (result.error) throw new Error(result.error);
+  track[field] = value;
+  renderTrackList();
+  if (field === 'cues') renderBarCues();
+}
+
+function pushFieldUndo(track, field, label, before, after) {
+  pushUndo(`${label} of “${track.name}”`,
+    () => applyTrackField(track.id, field, before),
+    () => applyTrackField(track.id, field, after));
+}
+
+// Text fields keep their own native undo; everywhere else Ctrl/Cmd+Z undoes
+// library edits and Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes them.
+function setupUndoKeys() {
+  document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.matches('input, textarea, select, [contenteditable]')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey)                 { e.preventDefault(); undoLast(); }
+    else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redoLast(); }
+  });
+}
+
+// ── Library filter & sort ─────────────────────────────────────────────────────
+
+// Slider bounds. A handle at its end is open-ended: the top of the duration
+// slider means "no upper limit", not "10:00". A range with both handles at
+// their ends doesn't filter, so tracks with no value stay visible. BPM and
+// release-year bounds are replaced by the schema's in setupLibraryFilter.
+const FILTER_RANGES = {
+  bpm:      { min: 40, max: 400, step: 1,    fmt: v => `${v}` },
+  duration: { min: 0,  max: 600, step: 10,   fmt: v => v ? fmtDuration(v) : '0:00' },
+  energy:   { min: 0,  max: 1,   step: 0.05, fmt: v => `${Math.round(v * 100)}%` },
+  danceability: { min: 0, max: 1, step: 0.05, fmt: v => `${Math.round(v * 100)}%` },
+  valence:  { min: 0,  max: 1,   step: 0.05, fmt: v => `${Math.round(v * 100)}%` },
+  releaseYear: { min: 1900, max: new Date().getFullYear(), step: 1, fmt: v => `${v}` },
+  popularity: { min: 0, max: 100, step: 1, fmt: v => `${v}` },
+};
+
+// Pick-one filters; '' (Any) doesn't filter. Option values are strings.
+const FILTER_CHOICES = {
+  key: {
+    options: KEY_NAMES.flatMap((name, k) => [[`${k}:1`, name], [`${k}:0`, `${name}m`]]),
+    test:    (t, v) => `${t.key}:${t.mode}` === v,
+  },
+  timeSignature: {
+    options: [3, 4, 5, 6, 7].map(n => [`${n}`, `${n}/4`]),
+    test:    (t, v) => String(t.timeSignature) === v,
+  },
+  explicit: {
+    options: [['clean', 'Clean only'], ['explicit', 'Explicit only']],
+    test:    (t, v) => t.explicit === (v === 'explicit'),
+  },
+};
+
+const SORTS = {
+  added:      { label: 'Date added',  key: t => t.addedAt || '',       desc: true  },
+  bpm:        { label: 'BPM',         key: t => t.bpm,                 desc: false },
+  duration:   { label: 'Duration',    key: t => t.duration,            desc: false },
+  energy:     { label: 'Energy',      key: t => t.energy,              desc: true  },
+  danceability: { label: 'Danceability', key: t => t.danceability,     desc: true  },
+  valence:    { label: 'Valence',     key: t => t.valence,             desc: true  },
+  key:        { label: 'Key',         key: t => t.key == null ? null : t.key * 2 + (t.mode === 0 ? 1 : 0), desc: false },
+  releaseYear: { label: 'Release year', key: t => t.releaseYear,       desc: false },
+  popularity: { label: 'Popularity',  key: t => t.popularity,          desc: true  },
+  artist:     { label: 'Artist',      key: t => (t.artist || '').toLowerCase(), desc: false },
+  lastPlayed: { label: 'Last played', key: t => playStats.get(t.id)?.lastPlayedAt || null, desc: true },
+};
+
+const libraryFilter = {
+  text: '',
+  ranges: Object.fromEntries(Object.entries(FILTER_RANGES).map(([k, r]) => [k, [r.min, r.max]])),
+  choices: Object.fromEntries(Object.keys(FILTER_CHOICES).map(k => [k, ''])),
+  tags: new Set(),                // tag ids that must all be present
+  sort: 'added',
+  desc: true,
+};
+
+function filterAndSortTracks(tracks) {
+  const terms  = libraryFilter.text.toLowerCase().split(/\s+/).filter(Boolean);
+  const active = Object.entries(libraryFilter.ranges)
+    .map(([k, [lo, hi]]) => [k, lo > FILTER_RANGES[k].min ? lo : -Infinity, hi < FILTER_RANGES[k].max ? hi : Infinity])
+    .filter(([, lo, hi]) => lo > -Infinity || hi < Infinity);
+
+  const result = tracks.filter(t => {
+    if (terms.length) {
+      const hay = `${t.name} ${t.artist} ${t.album} ${t.notes || ''}`.toLowerCase();
+      if (!terms.every(term => hay.includes(term))) return false;
+    }
+    for (const tagId of libraryFilter.tags) if (!(t.tags || []).includes(tagId)) return false;
+    for (const [k, v] of Object.entries(libraryFilter.choices)) if (v && !FILTER_CHOICES[k].test(t, v)) return false;
+    return active.every(([k, lo, hi]) => t[k] != null && t[k] >= lo && t[k] <= hi);
+  });
+
+  // Stable sort on insertion order, missing values always last
+  const { key } = SORTS[libraryFilter.sort];
+  const dir = libraryFilter.desc ? -1 : 1;
+  return result
+    .map((t, i) => ({ t, i, k: key(t) }))
+    .sort((a, b) => {
+      const aMissing = a.k == null || a.k === '';
+      const bMissing = b.k == null || b.k === '';
+      if (aMissing !== bMissing) return aMissing ? 1 : -1;
+      if (!aMissing && a.k !== b.k) return (a.k < b.k ? -1 : 1) * dir;
+      return a.i - b.i;
+    })
+    .map(x => x.t);
+}
+
+function setupLibraryFilter(schema) {
+  // The schema's year ceiling (9999) is only a sanity check; past this year
+  // the open-ended top handle covers it
+  const bounds = {
+    bpm:         [schema.bpm.min, schema.bpm.max],
+    releaseYear: [schema.releaseYear.min, Math.min(schema.releaseYear.max, new Date().getFullYear())],
+  };
+  Object.entries(bounds).forEach(([field, [min, max]]) => {
+    Object.assign(FILTER_RANGES[field], { min, max });
+    libraryFilter.ranges[field] = [min, max];
+  });
+
+  const searchEl  = document.getElementById('librarySearch');
+  const toggleBtn = document.getElementById('filterToggleBtn');
+  const panel     = document.getElementById('filterPanel');
+  const sortEl    = document.getElementById('sortSelect');
+  const dirBtn    = document.getElementById('sortDirBtn');
+  const resetBtn  = document.getElementById('filterResetBtn');
+  const resets    = [];
+  let   timer     = null;
+
+  searchEl.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => { libraryFilter.text = searchEl.value.trim(); renderTrackList(); }, 120);
+  });
+  searchEl.addEventListener('keydown', e => {
+    if (e.key === 'Escape') { searchEl.value = ''; libraryFilter.text = ''; renderTrackList(); }
+  });
+
+  toggleBtn.addEventListener('click', () => {
+    panel.classList.toggle('hidden');
+    toggleBtn.classList.toggle('active', !panel.classList.contains('hidden'));
+  });
+
+  sortEl.innerHTML = Object.entries(SORTS).map(([k, s]) => `<option value="${k}">${s.label}</option>`).join('');
+  sortEl.value = libraryFilter.sort;
+  const updateDirBtn = () => { dirBtn.textContent = libraryFilter.desc ? '↓' : '↑'; };
+  sortEl.addEventListener('change', () => {
+    libraryFilter.sort = sortEl.value;
+    libraryFilter.desc = SORTS[sortEl.value].desc;
+    updateDirBtn(); renderTrackList();
+  });
+  dirBtn.addEventListener('click', () => { libraryFilter.desc = !libraryFilter.desc; updateDirBtn(); renderTrackList(); });
+  updateDirBtn();
+
+  Object.entries(FILTER_RANGES).forEach(([field, range]) => {
+    const wrap  = panel.querySelector(`[data-range="${field}"]`);
+    const [loEl, hiEl] = wrap.querySelectorAll('input[type=range]');
+    const label = wrap.querySelector('.range-value');
+    [loEl, hiEl].forEach(el => { el.min = range.min; el.max = range.max; el.step = range.step; });
+    loEl.value = range.min; hiEl.value = range.max;
+
+    const update = e => {
+      let lo = parseFloat(loEl.value), hi = parseFloat(hiEl.value);
+      if (lo > hi) { if (e?.target === loEl) hi = lo; else lo = hi; loEl.value = lo; hiEl.value = hi; }
+      libraryFilter.ranges[field] = [lo, hi];
+      const open = lo <= range.min && hi >= range.max;
+      label.textContent = open ? 'Any'
+        : lo <= range.min ? `≤ ${range.fmt(hi)}`
+        : hi >= range.max ? `${range.fmt(lo)}+`
+        : `${range.fmt(lo)} – ${range.fmt(hi)}`;
+      wrap.classList.toggle('active', !open);
+    };
+    loEl.addEventListener('input', e => { update(e); renderTrackList(); });
+    hiEl.addEventListener('input', e => { update(e); renderTrackList(); });
+    resets.push(() => { loEl.value = range.min; hiEl.value = range.max; update(); });
+    update();
+  });
+
+  Object.entries(FILTER_CHOICES).forEach(([field, choice]) => {
+    const wrap = panel.querySelector(`[data-choice="${field}"]`);
+    const sel  = wrap.querySelector('select');
+    sel.innerHTML = '<option value="">Any</option>' +
+      choice.options.map(([value, label]) => `<option value="${value}">${esc(label)}</option>`).join('');
+    const update = () => {
+      libraryFilter.choices[field] = sel.value;
+      wrap.classList.toggle('active', !!sel.value);
+    };
+    sel.addEventListener('change', () => { update(); renderTrackList(); });
+    resets.push(() => { sel.value = ''; update(); });
+  });
+
+  resetBtn.addEventListener('click', () => {
+    searchEl.value = ''; libraryFilter.text = '';
+    libraryFilter.tags.clear();
+    resets.forEach(reset => reset());
+    renderTagFilter();
+    renderTrackList();
+  });
+}
 
-    card.querySelector('.play-btn').addEventListener('click', async () => {
-      const isThisPlaying = lastTrackId === track.id && !lastPaused;
-      if (isThisPlaying) await togglePlayPause();
-      else               await playTrack(track.id);
+function renderTagFilter() {
+  const wrap = document.getElementById('tagFilter');
+  // Drop filters for tags that no longer exist
+  libraryFilter.tags.forEach(id => { if (!djTags.some(t => t.id === id)) libraryFilter.tags.delete(id); });
+
+  wrap.innerHTML = djTags.length ? '' : '<span class="tag-filter-empty">No tags yet</span>';
+  djTags.forEach(tag => {
+    const chip = document.createElement('button');
+    chip.className = 'tag-chip tag-filter-chip' + (libraryFilter.tags.has(tag.id) ? ' active' : '');
+    chip.style.setProperty('--tag-color', tag.color);
+    chip.textContent = tag.name;
+    chip.addEventListener('click', () => {
+      if (libraryFilter.tags.has(tag.id)) libraryFilter.tags.delete(tag.id);
+      else libraryFilter.tags.add(tag.id);
+      renderTagFilter();
+      renderTrackList();
     });
+    wrap.appendChild(chip);
+  });
+}
+
+// ── Tags & selection ──────────────────────────────────────────────────────────
+
+let lastSelectedId = null;
 
-    card.querySelector('.badge-bpm').addEventListener('click', () => startBpmEdit(card, track));
+function toggleTrackSelection(trackId) {
+  if (selectedTrackIds.has(trackId)) selectedTrackIds.delete(trackId);
+  else selectedTrackIds.add(trackId);
+  lastSelectedId = trackId;
+  refreshSelection();
+}
+
+// Shift-click: select everything between the last clicked card and this one
+function selectTrackRange(trackId) {
+  const ids  = [...document.querySelectorAll('.track-card')].map(c => c.dataset.id);
+  const from = ids.indexOf(lastSelectedId);
+  const to   = ids.indexOf(trackId);
+  if (from < 0 || to < 0) { toggleTrackSelection(trackId); return; }
+  ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => selectedTrackIds.add(id));
+  lastSelectedId = trackId;
+  refreshSelection();
+}
+
+function clearSelection() {
+  selectedTrackIds.clear();
+  refreshSelection();
+}
+
+function refreshSelection() {
+  document.querySelectorAll('.track-card').forEach(card => {
+    const on = selectedTrackIds.has(card.dataset.id);
+    card.classList.toggle('selected', on);
+    const btn = card.querySelector('.select-btn');
+    if (btn) btn.textContent = `${on ? '☑' : '☐'} Select`;
+  });
+  const bar = document.getElementById('selectionBar');
+  bar.classList.toggle('hidden', !selectedTrackIds.size);
+  document.getElementById('selectionCount').textContent =
+    `${selectedTrackIds.size} selected`;
+}
+
+function setupSelectionBar() {
+  document.getElementById('selectionTagBtn').addEventListener('click', e =>
+    showTagEditor(e.currentTarget, [...selectedTrackIds]));
+  document.getElementById('selectionQueueBtn').addEventListener('click', () =>
+    addToQueue(filterAndSortTracks(djTracks).filter(t => selectedTrackIds.has(t.id)).map(t => t.id)));
+  document.getElementById('selectionAllBtn').addEventListener('click', () => {
+    document.querySelectorAll('.track-card').forEach(c => selectedTrackIds.add(c.dataset.id));
+    refreshSelection();
+  });
+  document.getElementById('selectionClearBtn').addEventListener('click', clearSelection);
+}
 
-    const notesEl = card.querySelector('.track-notes');
-    notesEl.addEventListener('input', autoResizeTextarea);
-    notesEl.addEventListener('blur', async () => {
-      if (notesEl.value !== (track.notes || '')) {
-        track.notes = notesEl.value;
-        await window.api.updateTrack(track.id, 'notes', notesEl.value);
+// Popover with a checkbox per tag. With several tracks, a tag that only
+// some of them carry shows as mixed; clicking it applies it to all.
+async function applyTagChange(trackIds, add, remove) {
+  const result = await window.api.tagTracks(trackIds, add, remove);
+  if (result.error) throw new Error(result.error);
+  djTracks.forEach(t => {
+    if (!trackIds.includes(t.id)) return;
+    t.tags = [...new Set([...(t.tags || []).filter(id => !remove.includes(id)), ...add])];
+  });
+  renderTagFilter();
+  renderTrackList();
+}
+
+function showTagEditor(anchor, trackIds) {
+  closePopupMenu();
+  const pop = document.createElement('div');
+  pop.className = 'popup-menu tag-editor';
+  pop.id = 'popupMenu';
+  pop.addEventListener('click', e => e.stopPropagation());
+  document.body.appendChild(pop);
+
+  const render = () => {
+    const tracks = djTracks.filter(t => trackIds.includes(t.id));
+    pop.innerHTML = `
+      <div class="tag-editor-title">${tracks.length === 1 ? 'Tags' : `Tag ${tracks.length} tracks`}</div>
+      <div class="tag-editor-list"></div>
+      <form class="tag-editor-new">
+        <input type="color" value="#c9952a" title="Tag colour" />
+        <input type="text" placeholder="New tag…" spellcheck="false" />
+      </form>
+    `;
+    const list = pop.querySelector('.tag-editor-list');
+    let group = null;
+    djTags.forEach(tag => {
+      if ((tag.group || '') !== group) {
+        group = tag.group || '';
+        if (group) list.insertAdjacentHTML('beforeend', `<div class="tag-editor-group">${esc(group)}</div>`);
       }
+      const count = tracks.filter(t => (t.tags || []).includes(tag.id)).length;
+      const state = count === 0 ? 'off' : count === tracks.length ? 'on' : 'mixed';
+      const row = document.createElement('div');
+      row.className = `tag-editor-row ${state}`;
+      row.innerHTML = `
+        <span class="tag-editor-check">${state === 'on' ? '☑' : state === 'mixed' ? '⊟' : '☐'}</span>
+        <input type="color" value="${esc(tag.color)}" title="Change colour" />
+        <span class="tag-editor-name" title="Double-click to rename">${esc(tag.name)}</span>
+        <button class="tag-editor-delete" title="Delete tag">✕</button>
+      `;
+      row.querySelector('.tag-editor-check').addEventListener('click', () => toggleTag(tag, state));
+      row.querySelector('.tag-editor-name').addEventListener('click', () => toggleTag(tag, state));
+      row.querySelector('.tag-editor-name').addEventListener('dblclick', () => renameTagInline(row, tag));
+      row.querySelector('input[type=color]').addEventListener('change', async e => {
+        const result = await window.api.saveTag({ id: tag.id, name: tag.name, color: e.target.value });
+        if (result.error) { setStatus(result.error, 'error'); return; }
+        Object.assign(tag, result.tag);
+        afterTagsChanged();
+      });
+      row.querySelector('.tag-editor-delete').addEventListener('click', async () => {
+        if (!confirm(`Delete the tag “${tag.name}” from every track?`)) return;
+        await window.api.deleteTag(tag.id);
+        djTags = djTags.filter(t => t.id !== tag.id);
+        djTracks.forEach(t => { t.tags = (t.tags || []).filter(id => id !== tag.id); });
+        afterTagsChanged();
+      });
+      list.appendChild(row);
     });
-    autoResizeTextarea.call(notesEl);
-
-    card.querySelector('.delete-btn').addEventListener('click', async () => {
-      card.style.opacity = '0.4';
-      await window.api.deleteTrack(track.id);
-      djTracks = djTracks.filter(t => t.id !== track.id);
-      card.remove();
-      const remaining = document.querySelectorAll('.track-card').length;
-      document.getElementById('trackCount').textContent =
-        remaining ? `${remaining} track${remaining !== 1 ? 's' : ''}` : '';
-      if (!remaining) document.getElementById('trackList').appendChild(document.getElementById('emptyState'));
+
+    const form = pop.querySelector('.tag-editor-new');
+    form.addEventListener('submit', async e => {
+      e.preventDefault();
+      const [colorEl, nameEl] = form.querySelectorAll('input');
+      const result = await window.api.saveTag({ name: nameEl.value, color: colorEl.value });
+      if (result.error) { setStatus(result.error, 'error'); return; }
+      djTags.push(result.tag);
+      await toggleTag(result.tag, 'off');
     });
+  };
 
-    list.appendChild(card);
-  });
+  const toggleTag = async (tag, state) => {
+    const add    = state === 'on' ? [] : [tag.id];
+    const remove = state === 'on' ? [tag.id] : [];
+    // Only the tracks this actually changes, so undo leaves the rest alone
+    const changed = djTracks
+      .filter(t => trackIds.includes(t.id) && (t.tags || []).includes(tag.id) === (state === 'on'))
+      .map(t => t.id);
+    try {
+      await applyTagChange(trackIds, add, remove);
+    } catch (err) {
+      setStatus(err.message, 'error');
+      return;
+    }
+    render();
+    pushUndo(`tag “${tag.name}”`,
+      () => applyTagChange(changed, remove, add),
+      () => applyTagChange(changed, add, remove));
+  };
+
+  const renameTagInline = (row, tag) => {
+    const nameEl = row.querySelector('.tag-editor-name');
+    const input  = document.createElement('input');
+    input.type = 'text'; input.className = 'tag-editor-rename'; input.value = tag.name;
+    nameEl.replaceWith(input); input.focus(); input.select();
+    const commit = async () => {
+      if (input.value.trim() && input.value.trim() !== tag.name) {
+        const result = await window.api.saveTag({ id: tag.id, name: input.value, color: tag.color });
+        if (result.error) setStatus(result.error, 'error');
+        else Object.assign(tag, result.tag);
+      }
+      afterTagsChanged();
+    };
+    input.addEventListener('blur', commit, { once: true });
+    input.addEventListener('keydown', e => {
+      if (e.key === 'Enter')  { e.preventDefault(); input.blur(); }
+      if (e.key === 'Escape') { input.value = tag.name; input.blur(); }
+    });
+  };
+
+  const afterTagsChanged = () => {
+    render();
+    renderTagFilter();
+    renderTrackList();
+  };
+
+  render();
+  const r = anchor.getBoundingClientRect();
+  pop.style.top  = `${Math.max(8, Math.min(r.bottom + 4, window.innerHeight - pop.offsetHeight - 8))}px`;
+  pop.style.left = `${Math.max(8, Math.min(r.left, window.innerWidth - pop.offsetWidth - 8))}px`;
+  setTimeout(() => document.addEventListener('click', closePopupMenu, { once: true }), 0);
 }
 
 function startBpmEdit(card, track) {
@@ -617,24 +1744,23 @@ function startBpmEdit(card, track) {
   input.value = track.bpm || ''; input.placeholder = 'BPM';
   badge.replaceWith(input); input.focus(); input.select();
 
+  let done = false;
   const commit = async () => {
+    if (done) return;
+    done = true;
     const val    = parseInt(input.value, 10);
     const newBpm = isNaN(val) || val <= 0 ? null : val;
-    track.bpm = newBpm;
-    // update djTracks so bar BPM reflects edits live
-    const lt = djTracks.find(t => t.id === track.id);
-    if (lt) lt.bpm = newBpm;
-    await window.api.updateTrack(track.id, 'bpm', newBpm);
-    const newBadge = document.createElement('span');
-    newBadge.className = 'badge badge-bpm'; newBadge.title = 'Click to edit BPM';
-    newBadge.textContent = newBpm ? `${newBpm} BPM` : '— BPM';
-    newBadge.addEventListener('click', () => startBpmEdit(card, track));
-    input.replaceWith(newBadge);
-    // Immediately reflect in bar if this track is playing
-    if (lastTrackId === track.id) {
-      const bpmEl = document.getElementById('barBpm');
-      if (bpmEl) bpmEl.textContent = newBpm ? `${newBpm} BPM` : '';
+    const badge  = makeBpmBadge(card, track, newBpm);
+    input.replaceWith(badge);
+    const before = track.bpm ?? null;
+    if (newBpm === before) return;
+    const result = await setTrackBpm(track, newBpm);
+    if (result.error) {
+      badge.replaceWith(makeBpmBadge(card, track, track.bpm));
+      setStatus(`BPM not saved: ${result.error}`, 'error');
+      return;
     }
+    pushFieldUndo(track, 'bpm', 'BPM', before, newBpm);
   };
   input.addEventListener('blur', commit);
   input.addEventListener('keydown', e => {
@@ -643,16 +1769,1217 @@ function startBpmEdit(card, track) {
   });
 }
 
-function autoResizeTextarea() {
-  this.style.height = 'auto'; this.style.height = this.scrollHeight + 'px';
+// Intro skip: m:ss typed in, pre-filled with the playhead if this track is playing
+function startIntroEdit(card, track) {
+  const badges = card.querySelector('.track-badges');
+  if (badges.querySelector('.intro-edit-input')) return;
+  const livePos = lastTrackId === track.id
+    ? Math.floor((pollSyncPos + (lastPaused ? 0 : Date.now() - pollSyncAt)) / 1000) : 0;
+  const input = document.createElement('input');
+  input.type = 'text'; input.className = 'bpm-edit-input intro-edit-input';
+  input.placeholder = 'm:ss'; input.title = 'Intro skip (blank to clear)';
+  input.value = track.introSkip ? fmtDuration(track.introSkip) : (livePos ? fmtDuration(livePos) : '');
+  card.querySelector('.badge-intro')?.remove();
+  badges.insertBefore(input, card.querySelector('.badge-duration'));
+  input.focus(); input.select();
+
+  let done = false;
+  const commit = async save => {
+    if (done) return;
+    done = true;
+    const secs = save ? parseClock(input.value) : track.introSkip;
+    const value = secs && secs > 0 && (!track.duration || secs < track.duration) ? Math.round(secs) : 0;
+    input.remove();
+    if (value) {
+      badges.insertBefore(Object.assign(document.createElement('span'), {
+        className: 'badge badge-intro', title: 'Intro skip (timed-cut mode)', textContent: `⤼ ${fmtDuration(value)}`,
+      }), card.querySelector('.badge-duration'));
+    }
+    if (!save || value === (track.introSkip || 0)) return;
+    const result = await window.api.updateTrack(track.id, 'introSkip', value);
+    if (result.error) {
+      // Put the previous value back on the card
+      const badge = badges.querySelector('.badge-intro');
+      if (badge && track.introSkip) badge.textContent = `⤼ ${fmtDuration(track.introSkip)}`;
+      else badge?.remove();
+      setStatus(`Intro skip not saved: ${result.error}`, 'error');
+      return;
+    }
+    pushFieldUndo(track, 'introSkip', 'intro skip', track.introSkip || 0, value);
+    track.introSkip = value;
+  };
+  input.addEventListener('blur', () => commit(true));
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter')  { e.preventDefault(); input.blur(); }
+    if (e.key === 'Escape') { e.preventDefault(); commit(false); }
+  });
 }
 
-// ── Drop & paste ──────────────────────────────────────────────────────────────
+function makeBpmBadge(card, track, bpm) {
+  const badge = document.createElement('span');
+  badge.className = 'badge badge-bpm'; badge.title = 'Click to edit BPM';
+  badge.textContent = bpm ? `${bpm} BPM` : '— BPM';
+  badge.addEventListener('click', () => startBpmEdit(card, track));
+  return badge;
+}
 
-function setupDrop() {
-  const zone       = document.getElementById('dropZone');
-  const activate   = e => { e.preventDefault(); zone.classList.add('active'); };
-  const deactivate = () => zone.classList.remove('active');
+// Saves first and only then updates local state; returns the IPC result
+async function setTrackBpm(track, newBpm) {
+  const result = await window.api.updateTrack(track.id, 'bpm', newBpm);
+  if (result.error) return result;
+  track.bpm = newBpm;
+  // update djTracks so bar BPM reflects edits live
+  const lt = djTracks.find(t => t.id === track.id);
+  if (lt) lt.bpm = newBpm;
+  // Immediately reflect in bar if this track is playing
+  if (lastTrackId === track.id) {
+    const bpmEl = document.getElementById('barBpm');
+    if (bpmEl) bpmEl.textContent = newBpm ? `${newBpm} BPM` : '';
+  }
+  return result;
+}
+
+// ── Cue points ────────────────────────────────────────────────────────────────
+// Named positions (ms) inside a track — breaks, stop-time choruses, solos.
+// Kept sorted by position so the chip and marker indexes match track.cues.
+
+function livePositionMs() {
+  return Math.min(pollSyncPos + (lastPaused ? 0 : Date.now() - pollSyncAt), pollDuration || Infinity);
+}
+
+function renderCueRow(track) {
+  const cues = track.cues || [];
+  if (!cues.length) return '';
+  const durMs = (track.duration || 0) * 1000;
+  const strip = durMs ? `<div class="cue-strip">${cues.map((c, i) =>
+    `<button class="cue-marker" data-index="${i}" style="left:${Math.min(100, (c.position / durMs) * 100)}%"
+      title="${esc(c.name)} · ${fmtMs(c.position)}"></button>`).join('')}</div>` : '';
+  const chips = cues.map((c, i) => `
+    <span class="cue-chip" data-index="${i}">
+      <button class="cue-seek" title="Play from here (double-click to rename)">◆ ${fmtMs(c.position)} <b>${esc(c.name)}</b></button>
+      <button class="cue-remove" title="Remove cue point">✕</button>
+    </span>`).join('');
+  return `${strip}<div class="cue-chips">${chips}</div>`;
+}
+
+function setupCueRow(card, track) {
+  const row = card.querySelector('.track-cues');
+  row.addEventListener('click', e => {
+    const el = e.target.closest('[data-index]');
+    if (!el) return;
+    const index = parseInt(el.dataset.index, 10);
+    if (e.target.closest('.cue-remove')) removeCue(track, index);
+    else if (e.target.closest('.cue-seek, .cue-marker')) seekToCue(track, track.cues[index]);
+  });
+  row.addEventListener('dblclick', e => {
+    const chip = e.target.closest('.cue-chip');
+    if (chip) startCueRename(card, track, parseInt(chip.dataset.index, 10));
+  });
+}
+
+// Re-renders the cue row on the track's card and the markers on the bar
+function refreshCueViews(track) {
+  const row = document.querySelector(`.track-card[data-id="${track.id}"] .track-cues`);
+  if (row) row.innerHTML = renderCueRow(track);
+  renderBarCues();
+}
+
+function renderBarCues() {
+  const el = document.getElementById('progressCues');
+  if (!el) return;
+  const cues = djTracks.find(t => t.id === lastTrackId)?.cues || [];
+  const key = `${lastTrackId}|${pollDuration}|${JSON.stringify(cues)}`;
+  if (el.dataset.key === key) return;
+  el.dataset.key = key;
+  el.innerHTML = pollDuration ? cues.map(c =>
+    `<button class="progress-cue" data-position="${c.position}" style="left:${Math.min(100, (c.position / pollDuration) * 100)}%"
+      title="${esc(c.name)} · ${fmtMs(c.position)}"></button>`).join('') : '';
+}
+
+// Saves first, then updates the card and bar; returns false if it failed
+async function setTrackCues(track, cues, label) {
+  const before = track.cues || [];
+  const sorted = [...cues].sort((a, b) => a.position - b.position);
+  const result = await window.api.updateTrack(track.id, 'cues', sorted);
+  if (result.error) { setStatus(`Cue points not saved: ${result.error}`, 'error'); return false; }
+  track.cues = sorted;
+  pushFieldUndo(track, 'cues', label, before, sorted);
+  refreshCueViews(track);
+  return true;
+}
+
+async function addCueAtPlayhead(track, rename = false) {
+  if (lastTrackId !== track.id) { setStatus(`Play “${track.name}” to add a cue point at the playhead.`, 'info'); return; }
+  const position = Math.max(0, Math.round(livePositionMs()));
+  const cues = track.cues || [];
+  const near = cues.find(c => Math.abs(c.position - position) < 1000);
+  if (near) { setStatus(`There's already a cue point at ${fmtMs(near.position)}.`, 'info'); return; }
+  const cue = { name: `Cue ${cues.length + 1}`, position };
+  if (!await setTrackCues(track, [...cues, cue], 'cue points')) return;
+  setStatus(`Cue point added at ${fmtMs(position)}`, 'ok');
+  const card = document.querySelector(`.track-card[data-id="${track.id}"]`);
+  if (rename && card) startCueRename(card, track, track.cues.indexOf(cue));
+}
+
+async function removeCue(track, index) {
+  const cue = track.cues[index];
+  if (!await setTrackCues(track, track.cues.filter((_, i) => i !== index), 'cue points')) return;
+  setStatus(`Cue point “${cue.name}” removed`, 'ok', { label: 'Undo', onClick: undoLast });
+}
+
+function seekToCue(track, cue) {
+  if (!cue) return;
+  if (lastTrackId === track.id) seekTo(cue.position);
+  else playTrack(track.id, cue.position);
+}
+
+function startCueRename(card, track, index) {
+  const chip = card.querySelector(`.cue-chip[data-index="${index}"]`);
+  if (!chip || chip.querySelector('.cue-name-input')) return;
+  const cue = track.cues[index];
+  const input = document.createElement('input');
+  input.type = 'text'; input.className = 'cue-name-input';
+  input.maxLength = 100; input.value = cue.name; input.title = `Name for the cue at ${fmtMs(cue.position)}`;
+  chip.querySelector('.cue-seek').replaceWith(input);
+  input.focus(); input.select();
+
+  let done = false;
+  const commit = async save => {
+    if (done) return;
+    done = true;
+    const name = input.value.trim();
+    if (!save || !name || name === cue.name) { refreshCueViews(track); return; }
+    const cues = track.cues.map((c, i) => (i === index ? { ...c, name } : c));
+    if (!await setTrackCues(track, cues, 'cue name')) refreshCueViews(track);
+  };
+  input.addEventListener('blur', () => commit(true));
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter')  { e.preventDefault(); input.blur(); }
+    if (e.key === 'Escape') { e.preventDefault(); commit(false); }
+  });
+}
+
+// ── Tap tempo ─────────────────────────────────────────────────────────────────
+
+const TAP_RESET_MS     = 2000;   // a pause this long starts a fresh count
+const TAP_WINDOW       = 16;     // intervals considered for the rolling average
+const TAP_OUTLIER_FRAC = 0.2;    // reject intervals this far from the median
+
+let tapSession = null;           // { card, track, taps, bpm, panel }
+
+function startTapTempo(card, track) {
+  if (tapSession) stopTapTempo();
+
+  const panel = document.createElement('div');
+  panel.className = 'tap-panel';
+  panel.innerHTML = `
+    <button class="tap-btn" title="Tap along with the beat (T or Space)">TAP</button>
+    <div class="tap-readout">
+      <span class="tap-bpm">—</span>
+      <span class="tap-confidence">Tap along with the beat · T or Space</span>
+    </div>
+    <button class="btn-icon tap-half" title="Halve (double-time mistake)">÷2</button>
+    <button class="btn-icon tap-double" title="Double (half-time mistake)">×2</button>
+    <button class="btn-icon tap-save">Save</button>
+    <button class="btn-icon tap-cancel">Cancel</button>
+  `;
+  card.appendChild(panel);
+  card.classList.add('tapping');
+
+  tapSession = { card, track, taps: [], bpm: null, panel };
+
+  panel.querySelector('.tap-btn').addEventListener('mousedown', e => { e.preventDefault(); registerTap(); });
+  panel.querySelector('.tap-half').addEventListener('click', () => scaleTapBpm(0.5));
+  panel.querySelector('.tap-double').addEventListener('click', () => scaleTapBpm(2));
+  panel.querySelector('.tap-cancel').addEventListener('click', stopTapTempo);
+  panel.querySelector('.tap-save').addEventListener('click', saveTapTempo);
+
+  // Tapping is only useful with the music running
+  if (lastTrackId !== track.id || lastPaused) playTrack(track.id);
+}
+
+function stopTapTempo() {
+  if (!tapSession) return;
+  tapSession.panel.remove();
+  tapSession.card.classList.remove('tapping');
+  tapSession = null;
+}
+
+function registerTap() {
+  if (!tapSession) return;
+  const now  = performance.now();
+  const taps = tapSession.taps;
+  if (taps.length && now - taps[taps.length - 1] > TAP_RESET_MS) taps.length = 0;
+  taps.push(now);
+  if (taps.length > TAP_WINDOW + 1) taps.shift();
+
+  const estimate = estimateTempo(taps);
+  if (estimate) tapSession.bpm = estimate.bpm;
+  renderTapReadout(estimate);
+
+  const btn = tapSession.panel.querySelector('.tap-btn');
+  btn.classList.remove('flash'); void btn.offsetWidth; btn.classList.add('flash');
+}
+
+// Median-filtered mean of inter-tap intervals. Confidence grows with the
+// number of accepted taps and shrinks with their spread.
+function estimateTempo(taps) {
+  if (taps.length < 3) return null;
+  const intervals = [];
+  for (let i = 1; i < taps.length; i++) intervals.push(taps[i] - taps[i - 1]);
+
+  const sorted   = [...intervals].sort((a, b) => a - b);
+  const median   = sorted[Math.floor(sorted.length / 2)];
+  const accepted = intervals.filter(iv => Math.abs(iv - median) <= median * TAP_OUTLIER_FRAC);
+  if (accepted.length < 2) return null;
+
+  const mean = accepted.reduce((a, b) => a + b, 0) / accepted.length;
+  const sd   = Math.sqrt(accepted.reduce((a, b) => a + (b - mean) ** 2, 0) / accepted.length);
+  const cv   = sd / mean;
+  const confidence = Math.min(1, accepted.length / 8) * Math.max(0, 1 - cv * 8);
+
+  return {
+    bpm: Math.round(60000 / mean),
+    confidence,
+    rejected: intervals.length - accepted.length,
+  };
+}
+
+function renderTapReadout(estimate) {
+  const bpmEl  = tapSession.panel.querySelector('.tap-bpm');
+  const confEl = tapSession.panel.querySelector('.tap-confidence');
+  if (!estimate) {
+    bpmEl.textContent  = tapSession.bpm ? `${tapSession.bpm} BPM` : '—';
+    confEl.textContent = tapSession.taps.length ? 'Keep tapping…' : 'Tap along with the beat · T or Space';
+    confEl.className   = 'tap-confidence';
+    return;
+  }
+  const level = estimate.confidence >= 0.7 ? 'high' : estimate.confidence >= 0.4 ? 'medium' : 'low';
+  bpmEl.textContent  = `${estimate.bpm} BPM`;
+  confEl.textContent = `${level} confidence · ${tapSession.taps.length} taps` +
+    (estimate.rejected ? ` · ${estimate.rejected} ignored` : '');
+  confEl.className   = `tap-confidence ${level}`;
+}
+
+function scaleTapBpm(factor) {
+  if (!tapSession) return;
+  const base = tapSession.bpm || tapSession.track.bpm;
+  if (!base) return;
+  tapSession.bpm  = Math.round(base * factor);
+  tapSession.taps = [];
+  tapSession.panel.querySelector('.tap-bpm').textContent = `${tapSession.bpm} BPM`;
+  tapSession.panel.querySelector('.tap-confidence').textContent = factor > 1 ? 'Doubled' : 'Halved';
+}
+
+async function saveTapTempo() {
+  if (!tapSession || !tapSession.bpm) { stopTapTempo(); return; }
+  const { card, track, bpm } = tapSession;
+  stopTapTempo();
+  const before = track.bpm ?? null;
+  const result = await setTrackBpm(track, bpm);
+  if (result.error) { setStatus(`BPM not saved: ${result.error}`, 'error'); return; }
+  if (bpm !== before) pushFieldUndo(track, 'bpm', 'BPM', before, bpm);
+  card.querySelector('.badge-bpm')?.replaceWith(makeBpmBadge(card, track, bpm));
+  setStatus(`BPM set to ${bpm} for ${track.name}`, 'ok');
+}
+
+function setupTapKeys() {
+  document.addEventListener('keydown', e => {
+    if (!tapSession) return;
+    if (e.target.matches('input, textarea')) return;
+    if (e.key === 't' || e.key === 'T' || e.key === ' ') { e.preventDefault(); if (!e.repeat) registerTap(); }
+    if (e.key === 'Enter')  { e.preventDefault(); saveTapTempo(); }
+    if (e.key === 'Escape') stopTapTempo();
+  });
+}
+
+function autoResizeTextarea() {
+  this.style.height = 'auto'; this.style.height = this.scrollHeight + 'px';
+}
+
+// ── Play history ──────────────────────────────────────────────────────────────
+
+// A library track counts as played once it gets this far in
+const PLAY_LOG_MIN_MS   = 60 * 1000;
+const PLAY_LOG_FRACTION = 0.5;
+
+const PLAY_LOG_RESTART_MS = 5 * 1000;  // back this near the start counts as a replay
+
+let playLogTrackId = null;      // track the threshold is being watched for
+let playLogDone    = false;     // whether that track has been logged yet
+let playLogPos     = 0;         // position on the previous poll
+
+function maybeLogPlay(trackId, isPlaying, posMs, durMs) {
+  const restarted = posMs < PLAY_LOG_RESTART_MS && playLogPos > posMs + PLAY_LOG_RESTART_MS;
+  if (trackId !== playLogTrackId || restarted) { playLogTrackId = trackId; playLogDone = false; }
+  playLogPos = posMs;
+  if (playLogDone || !isPlaying) return;
+
+  const threshold = Math.min(PLAY_LOG_MIN_MS, (durMs || Infinity) * PLAY_LOG_FRACTION);
+  if (posMs < threshold) return;
+
+  playLogDone = true;
+  window.api.logPlay(trackId).then(async result => {
+    if (result.error) { console.warn('Play log failed:', result.error); return; }
+    if (result.session.id !== playHistory.currentSessionId) {
+      // A new session, possibly because the old one went stale: take the
+      // main process's copy so the old one shows as ended
+      playHistory = await window.api.getHistory();
+    } else {
+      playHistory.plays.push(result.play);
+    }
+    rebuildPlayStats();
+    refreshCardHistory(trackId);
+    renderSuggestions();
+  }).catch(err => console.warn('Play log failed:', err.message));
+}
+
+function rebuildPlayStats() {
+  playStats = new Map();
+  playHistory.plays.forEach(p => {
+    const st = playStats.get(p.trackId) || { count: 0, lastPlayedAt: null, inSession: false };
+    st.count++;
+    if (!st.lastPlayedAt || p.playedAt > st.lastPlayedAt) st.lastPlayedAt = p.playedAt;
+    if (p.sessionId === playHistory.currentSessionId) st.inSession = true;
+    playStats.set(p.trackId, st);
+  });
+}
+
+function renderPlayStats(trackId) {
+  const st = playStats.get(trackId);
+  if (!st) return '';
+  const when = new Date(st.lastPlayedAt).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+  return `${st.inSession ? '<span class="played-marker">Played this session</span> · ' : ''}` +
+    `Last played ${esc(when)} · ${st.count} play${st.count !== 1 ? 's' : ''}`;
+}
+
+function refreshCardHistory(trackId) {
+  document.querySelectorAll('.track-card').forEach(card => {
+    if (trackId && card.dataset.id !== trackId) return;
+    card.classList.toggle('played-session', !!playStats.get(card.dataset.id)?.inSession);
+    const el = card.querySelector('.track-history');
+    if (el) el.innerHTML = renderPlayStats(card.dataset.id);
+  });
+}
+
+function setupHistory() {
+  const overlay  = document.getElementById('historyOverlay');
+  const openBtn  = document.getElementById('historyBtn');
+  const closeBtn = document.getElementById('historyCloseBtn');
+  const form     = document.getElementById('sessionForm');
+  const nameEl   = document.getElementById('sessionNameInput');
+  const endBtn   = document.getElementById('endSessionBtn');
+
+  openBtn.addEventListener('click', async () => {
+    playHistory = await window.api.getHistory();
+    rebuildPlayStats();
+    renderHistoryModal();
+    overlay.classList.remove('hidden');
+  });
+  closeBtn.addEventListener('click', () => overlay.classList.add('hidden'));
+  overlay.addEventListener('click', e => { if (e.target === overlay) overlay.classList.add('hidden'); });
+
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    const result = await window.api.startSession(nameEl.value);
+    if (result.error) { setStatus(result.error, 'error'); return; }
+    nameEl.value = '';
+    playHistory = await window.api.getHistory();
+    rebuildPlayStats();
+    refreshCardHistory();
+    renderHistoryModal();
+    setStatus(`Started session: ${result.session.name}`, 'ok');
+  });
+
+  endBtn.addEventListener('click', async () => {
+    await window.api.endSession();
+    playHistory = await window.api.getHistory();
+    rebuildPlayStats();
+    refreshCardHistory();
+    renderHistoryModal();
+  });
+}
+
+function renderHistoryModal() {
+  const current = playHistory.sessions.find(s => s.id === playHistory.currentSessionId);
+  document.getElementById('currentSessionLabel').textContent = current
+    ? `Current session: ${current.name}`
+    : 'No session running — one starts automatically with the first play.';
+  document.getElementById('endSessionBtn').classList.toggle('hidden', !current);
+
+  const body = document.getElementById('historyBody');
+  body.innerHTML = '';
+  if (!playHistory.sessions.length) { body.innerHTML = '<div class="browser-loading">Nothing played yet</div>'; return; }
+
+  const fmtWhen = iso => new Date(iso).toLocaleString(undefined,
+    { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+  [...playHistory.sessions].reverse().forEach(session => {
+    const plays = playHistory.plays.filter(p => p.sessionId === session.id);
+    const el = document.createElement('details');
+    el.className = 'history-session';
+    el.open = session.id === playHistory.currentSessionId;
+    el.innerHTML = `
+      <summary>
+        <span class="history-session-name">${esc(session.name)}</span>
+        <span class="history-session-meta">${esc(fmtWhen(session.startedAt))} · ${plays.length} track${plays.length !== 1 ? 's' : ''}</span>
+      </summary>
+      ${plays.map(p => `
+        <div class="history-play">
+          <span class="history-play-time">${esc(new Date(p.playedAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' }))}</span>
+          <span class="history-play-name">${esc(p.name)}</span>
+          <span class="history-play-artist">${esc(p.artist)}</span>
+          <span class="history-play-count">${playStats.get(p.trackId)?.count || 0}×</span>
+        </div>`).join('') || '<div class="history-play empty">No plays</div>'}
+    `;
+    body.appendChild(el);
+  });
+}
+
+// ── Side panel ────────────────────────────────────────────────────────────────
+
+const SIDE_PANEL_TABS = { queue: 'queueBtn', suggest: 'suggestBtn', requests: 'requestsBtn' };
+
+let sidePanelTab = null;        // open tab, or null when the panel is hidden
+
+function setupSidePanel() {
+  Object.entries(SIDE_PANEL_TABS).forEach(([tab, btnId]) => {
+    const toggle = () => showSidePanel(sidePanelTab === tab ? null : tab);
+    document.getElementById(btnId).addEventListener('click', toggle);
+    document.querySelector(`.side-panel-tab[data-tab="${tab}"]`).addEventListener('click', () => showSidePanel(tab));
+  });
+  document.getElementById('sidePanelCloseBtn').addEventListener('click', () => showSidePanel(null));
+  if (SIDE_PANEL_TABS[prefs.sidePanel]) showSidePanel(prefs.sidePanel, false);
+}
+
+function showSidePanel(tab, persist = true) {
+  sidePanelTab = tab;
+  document.getElementById('sidePanel').classList.toggle('hidden', !tab);
+  Object.entries(SIDE_PANEL_TABS).forEach(([t, btnId]) => {
+    document.getElementById(btnId).classList.toggle('active', t === tab);
+    document.querySelector(`.side-panel-tab[data-tab="${t}"]`).classList.toggle('active', t === tab);
+    document.getElementById(`${t}View`).classList.toggle('hidden', t !== tab);
+  });
+  if (persist) window.api.savePrefs({ sidePanel: tab });
+  if (tab === 'suggest') renderSuggestions();
+  if (tab === 'queue')   renderQueue();
+  if (tab === 'requests') renderSongRequests();
+}
+
+// ── Queue ─────────────────────────────────────────────────────────────────────
+
+const QUEUE_DRAG_TYPE = 'application/x-swingdj-queue-index';
+
+let djQueue        = [];        // library track ids lined up to play next
+let queueAdvanceId = null;      // track whose end has an advance scheduled
+let queueTimer     = null;
+
+function saveQueue() {
+  window.api.savePrefs({ queue: djQueue });
+}
+
+function addToQueue(trackIds) {
+  const ids = trackIds.filter(id => djTracks.some(t => t.id === id));
+  if (!ids.length) return;
+  djQueue.push(...ids);
+  saveQueue();
+  renderQueue();
+  updateBarNext();
+  setStatus(ids.length === 1
+    ? `Queued: ${djTracks.find(t => t.id === ids[0]).name}`
+    : `Queued ${ids.length} tracks`, 'ok');
+}
+
+function removeFromQueue(index) {
+  djQueue.splice(index, 1);
+  saveQueue();
+  renderQueue();
+  updateBarNext();
+}
+
+function moveInQueue(from, to) {
+  const before = [...djQueue];
+  const [moved] = djQueue.splice(from, 1);
+  djQueue.splice(to, 0, moved);
+  const after = [...djQueue];
+  setQueueOrder(after);
+  pushUndo('queue reorder', () => setQueueOrder(before), () => setQueueOrder(after));
+}
+
+// Tracks queued or played since the order was recorded are kept, at the end
+function setQueueOrder(ids) {
+  djQueue = [...ids.filter(id => djQueue.includes(id)), ...djQueue.filter(id => !ids.includes(id))];
+  saveQueue();
+  renderQueue();
+  updateBarNext();
+}
+
+// Play the head of the queue now
+async function advanceQueue() {
+  clearTimeout(queueTimer);
+  const nextId = djQueue.shift();
+  saveQueue();
+  renderQueue();
+  updateBarNext();
+  if (nextId) await playTrack(nextId);
+}
+
+// Hands a queued track over to Spotify's own queue on the active device
+async function sendToSpotifyQueue(index) {
+  const trackId  = djQueue[index];
+  const track    = djTracks.find(t => t.id === trackId);
+  if (track && isLocalTrack(track)) { setStatus('Local files can only play in this app.', 'info'); return; }
+  const deviceId = await getPlaybackDeviceId();
+  if (!deviceId) { setStatus('No active Spotify device found. Open the Spotify app first.', 'error'); return; }
+  try {
+    await spotifyFetch(`/v1/me/player/queue?uri=${encodeURIComponent(`spotify:track:${trackId}`)}&device_id=${deviceId}`, { method: 'POST' });
+    removeFromQueue(index);
+    setStatus('Sent to the Spotify queue.', 'ok');
+  } catch (err) {
+    setStatusError(err.message || 'Could not queue on Spotify');
+  }
+}
+
+// Called on every poll: when auto-advance is on and the current track is
+// about to end, schedule the next queued track to start right after it.
+function scheduleQueueAdvance(trackId, isPlaying, posMs, durMs) {
+  if (!prefs.queueAutoPlay || !djQueue.length || !isPlaying || !durMs) return;
+  const remaining = durMs - posMs;
+  if (remaining > 4000) {
+    if (queueAdvanceId === trackId) queueAdvanceId = null;    // replayed or seeked back
+    return;
+  }
+  if (queueAdvanceId === trackId) return;
+  queueAdvanceId = trackId;
+  clearTimeout(queueTimer);
+  queueTimer = setTimeout(() => {
+    // Only advance if that same track is still what's playing
+    if (lastTrackId === trackId) advanceQueue();
+  }, Math.max(0, remaining - 250));
+}
+
+function renderQueue() {
+  if (sidePanelTab !== 'queue') return;
+  const body = document.getElementById('queueList');
+  body.innerHTML = '';
+  if (!djQueue.length) {
+    body.innerHTML = '<div class="side-panel-empty">Queue is empty. Use “+ Queue” on a track.</div>';
+    return;
+  }
+
+  const byId = new Map(djTracks.map(t => [t.id, t]));
+  let startsIn = pollDuration ? Math.max(0, pollDuration - (pollSyncPos + (lastPaused ? 0 : Date.now() - pollSyncAt))) : 0;
+
+  djQueue.forEach((id, index) => {
+    const track = byId.get(id);
+    if (!track) return;
+    const row = document.createElement('div');
+    row.className = 'suggest-row queue-row';
+    row.draggable = true;
+    row.innerHTML = `
+      <span class="set-row-index">${index + 1}</span>
+      <div class="suggest-row-info">
+        <div class="suggest-row-name">${esc(track.name)}</div>
+        <div class="suggest-row-why">${esc(track.artist)}${startsIn ? ` · in ${fmtMs(startsIn)}` : ''}</div>
+      </div>
+      <span class="badge badge-bpm">${track.bpm ? `${track.bpm}` : '—'}</span>
+      <button class="btn-icon queue-send" title="Send to Spotify queue">⇪</button>
+      <button class="btn-icon queue-play" title="Play now">▶</button>
+      <button class="btn-icon queue-remove" title="Remove">✕</button>
+    `;
+    startsIn += (track.duration || 0) * 1000;
+
+    row.querySelector('.queue-send').addEventListener('click', () => sendToSpotifyQueue(index));
+    row.querySelector('.queue-play').addEventListener('click', () => { djQueue.splice(index, 1); saveQueue(); renderQueue(); updateBarNext(); playTrack(id); });
+    row.querySelector('.queue-remove').addEventListener('click', () => removeFromQueue(index));
+
+    row.addEventListener('dragstart', e => {
+      e.dataTransfer.setData(QUEUE_DRAG_TYPE, String(index));
+      e.dataTransfer.effectAllowed = 'move';
+      row.classList.add('dragging');
+    });
+    row.addEventListener('dragend', () => row.classList.remove('dragging'));
+    row.addEventListener('dragover', e => {
+      if (!e.dataTransfer.types.includes(QUEUE_DRAG_TYPE)) return;
+      e.preventDefault(); e.stopPropagation();
+      row.classList.add('drag-over');
+    });
+    row.addEventListener('dragleave', () => row.classList.remove('drag-over'));
+    row.addEventListener('drop', e => {
+      if (!e.dataTransfer.types.includes(QUEUE_DRAG_TYPE)) return;
+      e.preventDefault(); e.stopPropagation();
+      row.classList.remove('drag-over');
+      const from = parseInt(e.dataTransfer.getData(QUEUE_DRAG_TYPE), 10);
+      if (!isNaN(from) && from !== index) moveInQueue(from, index);
+    });
+
+    body.appendChild(row);
+  });
+}
+
+// Upcoming track in the playback bar: name, BPM and time until it starts
+function updateBarNext(posMs, durMs) {
+  pushDisplayState();             // the audience display shows the same next track
+  const el = document.getElementById('barNext');
+  if (!el) return;
+  const next = djTracks.find(t => t.id === djQueue[0]);
+  if (!next) { el.innerHTML = ''; return; }
+  const pos = posMs ?? (pollSyncPos + (lastPaused ? 0 : Date.now() - pollSyncAt));
+  const dur = durMs ?? pollDuration;
+  el.innerHTML = `
+    <div class="bar-next-label">Next${dur ? ` in ${fmtMs(Math.max(0, dur - pos))}` : ''}</div>
+    <div class="bar-next-name">${esc(next.name)}${next.bpm ? ` <span>${next.bpm} BPM</span>` : ''}</div>
+  `;
+}
+
+function setupQueue() {
+  djQueue = (prefs.queue || []).filter(id => djTracks.some(t => t.id === id));
+  const autoEl = document.getElementById('queueAutoPlay');
+  autoEl.checked = !!prefs.queueAutoPlay;
+  autoEl.addEventListener('change', () => {
+    prefs.queueAutoPlay = autoEl.checked;
+    window.api.savePrefs({ queueAutoPlay: autoEl.checked });
+  });
+  document.getElementById('queueNextBtn').addEventListener('click', () => { if (djQueue.length) advanceQueue(); });
+  document.getElementById('queueClearBtn').addEventListener('click', () => {
+    djQueue = []; saveQueue(); renderQueue(); updateBarNext();
+  });
+  renderQueue();
+}
+
+// ── Next-track suggestions ────────────────────────────────────────────────────
+
+const SUGGEST_DEFAULTS = { bpmMode: 'near', bpmStep: 10, energy: 'any', avoidArtist: true, skipPlayed: true };
+const SUGGEST_LIMIT    = 12;
+
+let suggestSeedId = null;       // track the current suggestions were ranked against
+
+function suggestRules() {
+  return { ...SUGGEST_DEFAULTS, ...(prefs.suggest || {}) };
+}
+
+function splitArtists(artist) {
+  return (artist || '').toLowerCase().split(',').map(a => a.trim()).filter(Boolean);
+}
+
+// Returns [{ track, score, why }] best first. Tracks that break a hard
+// rule are left out; the rest are scored on how well they fit the BPM
+// and energy targets.
+function rankSuggestions(current, rules) {
+  const seedArtists = splitArtists(current.artist);
+  const step = Math.max(1, rules.bpmStep);
+  const out  = [];
+
+  djTracks.forEach(t => {
+    if (t.id === current.id) return;
+    if (rules.skipPlayed && playStats.get(t.id)?.inSession) return;
+    if (rules.avoidArtist && splitArtists(t.artist).some(a => seedArtists.includes(a))) return;
+
+    let score = 0;
+    const why = [];
+
+    if (current.bpm && t.bpm) {
+      const diff = t.bpm - current.bpm;
+      if (rules.bpmMode === 'near' && Math.abs(diff) > step) return;
+      if (rules.bpmMode === 'up'   && (diff < 0 || diff > step)) return;
+      if (rules.bpmMode === 'down' && (diff > 0 || diff < -step)) return;
+      // Near: closest wins. Up/down: a gentle move of about half the step is ideal.
+      const ideal = rules.bpmMode === 'near' ? 0 : (rules.bpmMode === 'up' ? step / 2 : -step / 2);
+      score += 1 - Math.abs(diff - ideal) / step;
+      why.push(`${diff >= 0 ? '+' : '−'}${Math.abs(diff)} BPM`);
+    } else if (current.bpm) {
+      score -= 0.5;
+      why.push('BPM unknown');
+    }
+
+    if (current.energy != null && t.energy != null) {
+      const diff = t.energy - current.energy;
+      if (rules.energy === 'up'   && diff < -0.02) return;
+      if (rules.energy === 'down' && diff > 0.02)  return;
+      if (rules.energy === 'hold' && Math.abs(diff) > 0.15) return;
+      const ideal = rules.energy === 'up' ? 0.1 : rules.energy === 'down' ? -0.1 : 0;
+      if (rules.energy !== 'any') score += 1 - Math.min(1, Math.abs(diff - ideal) / 0.3);
+      why.push(`energy ${diff >= 0 ? '↑' : '↓'}${Math.abs(diff).toFixed(2)}`);
+    } else if (rules.energy !== 'any') {
+      score -= 0.25;
+    }
+
+    out.push({ track: t, score, why: why.join(' · ') });
+  });
+
+  return out.sort((a, b) => b.score - a.score).slice(0, SUGGEST_LIMIT);
+}
+
+function renderSuggestions() {
+  suggestSeedId = lastTrackId;
+  if (sidePanelTab !== 'suggest') return;
+
+  const body    = document.getElementById('suggestList');
+  const current = djTracks.find(t => t.id === lastTrackId);
+  if (!lastTrackId) { body.innerHTML = '<div class="side-panel-empty">Play a track to get suggestions.</div>'; return; }
+  if (!current)     { body.innerHTML = '<div class="side-panel-empty">The current track isn’t in your library.</div>'; return; }
+
+  const ranked = rankSuggestions(current, suggestRules());
+  body.innerHTML = `
+    <div class="suggest-seed">After <strong>${esc(current.name)}</strong>${current.bpm ? ` · ${current.bpm} BPM` : ''}</div>
+    ${ranked.length ? '' : '<div class="side-panel-empty">Nothing fits these rules — try loosening them.</div>'}
+  `;
+  ranked.forEach(({ track, why }) => {
+    const row = document.createElement('div');
+    row.className = 'suggest-row';
+    row.innerHTML = `
+      <div class="suggest-row-info">
+        <div class="suggest-row-name">${esc(track.name)}</div>
+        <div class="suggest-row-why">${esc(track.artist)}${why ? ` · ${esc(why)}` : ''}</div>
+      </div>
+      <span class="badge badge-bpm">${track.bpm ? `${track.bpm}` : '—'}</span>
+      <button class="btn-icon suggest-queue" title="Add to queue">+Q</button>
+      <button class="btn-icon suggest-play" title="Play now">▶</button>
+    `;
+    row.querySelector('.suggest-queue').addEventListener('click', () => addToQueue([track.id]));
+    row.querySelector('.suggest-play').addEventListener('click', () => playTrack(track.id));
+    body.appendChild(row);
+  });
+}
+
+function setupSuggestions() {
+  const modeEl   = document.getElementById('suggestBpmMode');
+  const stepEl   = document.getElementById('suggestBpmStep');
+  const energyEl = document.getElementById('suggestEnergy');
+  const artistEl = document.getElementById('suggestAvoidArtist');
+  const playedEl = document.getElementById('suggestSkipPlayed');
+
+  const rules = suggestRules();
+  modeEl.value     = rules.bpmMode;
+  stepEl.value     = rules.bpmStep;
+  energyEl.value   = rules.energy;
+  artistEl.checked = rules.avoidArtist;
+  playedEl.checked = rules.skipPlayed;
+
+  const onChange = async () => {
+    const suggest = {
+      bpmMode:     modeEl.value,
+      bpmStep:     Math.max(1, parseInt(stepEl.value, 10) || SUGGEST_DEFAULTS.bpmStep),
+      energy:      energyEl.value,
+      avoidArtist: artistEl.checked,
+      skipPlayed:  playedEl.checked,
+    };
+    prefs.suggest = suggest;
+    renderSuggestions();
+    await window.api.savePrefs({ suggest });
+  };
+  [modeEl, stepEl, energyEl, artistEl, playedEl].forEach(el => el.addEventListener('change', onChange));
+}
+
+// ── Song requests ─────────────────────────────────────────────────────────────
+
+const REQUEST_PORT_DEFAULT = 8765;
+
+let songRequests  = [];         // pending requests from the request page, oldest first
+let requestServer = { running: false, port: null, urls: [] };
+
+async function setupSongRequests() {
+  const toggle = document.getElementById('requestServerToggle');
+  const portEl = document.getElementById('requestServerPort');
+  portEl.value = prefs.requestServerPort || REQUEST_PORT_DEFAULT;
+
+  const state = await window.api.getRequestServer();
+  songRequests  = state.requests;
+  requestServer = state;
+  renderRequestServer();
+
+  toggle.addEventListener('change', async () => {
+    toggle.disabled = true;
+    const port = parseInt(portEl.value, 10) || REQUEST_PORT_DEFAULT;
+    const result = toggle.checked
+      ? await window.api.startRequestServer(port)
+      : await window.api.stopRequestServer();
+    toggle.disabled = false;
+    if (result.error) { setStatus(result.error, 'error'); toggle.checked = false; return; }
+    requestServer = result;
+    renderRequestServer();
+  });
+  portEl.addEventListener('change', async () => {
+    const port = parseInt(portEl.value, 10);
+    if (!port) return;
+    prefs.requestServerPort = port;
+    await window.api.savePrefs({ requestServerPort: port });
+  });
+
+  window.api.onSongRequest(request => {
+    songRequests.push(request);
+    renderSongRequests();
+    if (sidePanelTab === 'requests') return;
+    setStatus(`${request.name} asked for ${request.track.name}`, 'info',
+      { label: 'View', onClick: () => showSidePanel('requests') });
+  });
+}
+
+function renderRequestServer() {
+  document.getElementById('requestServerToggle').checked = requestServer.running;
+  document.getElementById('requestServerPort').disabled  = requestServer.running;
+  const urls = document.getElementById('requestServerUrls');
+  if (!requestServer.running) { urls.textContent = 'Dancers on the same Wi-Fi can search your library and ask for songs.'; return; }
+  urls.innerHTML = requestServer.urls.length
+    ? `Open ${requestServer.urls.map(u => `<code>${esc(u)}</code>`).join(' or ')} on a phone.`
+    : 'Running, but this computer has no network address. Join the venue Wi-Fi.';
+}
+
+function renderSongRequests() {
+  const btn = document.getElementById('requestsBtn');
+  btn.textContent = songRequests.length ? `Requests (${songRequests.length})` : 'Requests';
+  if (sidePanelTab !== 'requests') return;
+
+  const body = document.getElementById('requestsList');
+  body.innerHTML = songRequests.length ? '' : '<div class="side-panel-empty">No requests yet.</div>';
+  songRequests.forEach(r => {
+    const at  = new Date(r.requestedAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+    const row = document.createElement('div');
+    row.className = 'suggest-row';
+    row.innerHTML = `
+      <div class="suggest-row-info">
+        <div class="suggest-row-name">${esc(r.track.name)}</div>
+        <div class="suggest-row-why">${r.track.artist ? `${esc(r.track.artist)} · ` : ''}asked by ${esc(r.name)} at ${esc(at)}${r.inLibrary ? '' : ' · <span class="request-missing">not in library</span>'}</div>
+      </div>
+      <button class="btn-icon request-queue" title="${r.inLibrary ? 'Add to queue' : 'Add to the library and queue'}">+Q</button>
+      <button class="btn-icon request-dismiss" title="Dismiss">✕</button>
+    `;
+    row.querySelector('.request-queue').addEventListener('click', () => acceptSongRequest(r));
+    row.querySelector('.request-dismiss').addEventListener('click', () => resolveSongRequest(r));
+    body.appendChild(row);
+  });
+}
+
+async function acceptSongRequest(request) {
+  if (!request.inLibrary && !djTracks.some(t => t.id === request.track.id)) {
+    setStatus('Looking up track…', 'info');
+    const result = await window.api.saveTrack(`spotify:track:${request.track.id}`);
+    if (result.error) { setStatus(result.error, 'error'); return; }
+    renderTracks(await window.api.getTracks());
+  }
+  addToQueue([request.track.id]);
+  await resolveSongRequest(request);
+}
+
+async function resolveSongRequest(request) {
+  await window.api.resolveSongRequest(request.id);
+  songRequests = songRequests.filter(r => r.id !== request.id);
+  renderSongRequests();
+}
+
+// ── Audience display ──────────────────────────────────────────────────────────
+
+const DISPLAY_FIELDS = { artist: 'Artist', bpm: 'BPM', remaining: 'Time remaining', next: 'Next queued track' };
+
+let displayOpen    = false;
+let displayKey     = null;        // last state sent, to skip repeats from the progress timer
+let nowPlayingInfo = null;        // { name, artist, bpm } from the last poll
+
+function displayFields() {
+  return { artist: true, bpm: true, remaining: true, next: true, ...(prefs.displayFields || {}) };
+}
+
+function setupAudienceDisplay() {
+  document.getElementById('displayBtn').addEventListener('click', e => showDisplayMenu(e.currentTarget));
+  window.api.onDisplayClosed(() => {
+    displayOpen = false;
+    document.getElementById('displayBtn').classList.remove('active');
+  });
+}
+
+function showDisplayMenu(anchor) {
+  closePopupMenu();
+  const pop = document.createElement('div');
+  pop.className = 'popup-menu cut-menu';
+  pop.id = 'popupMenu';
+  pop.addEventListener('click', e => e.stopPropagation());
+  const fields = displayFields();
+  pop.innerHTML = `
+    <label class="cut-row"><input type="checkbox" id="displayOpen" ${displayOpen ? 'checked' : ''} /> Show the audience display</label>
+    <div class="cut-row display-menu-label">Show on screen</div>
+    ${Object.entries(DISPLAY_FIELDS).map(([key, label]) => `
+      <label class="cut-row"><input type="checkbox" data-field="${key}" ${fields[key] ? 'checked' : ''} /> ${label}</label>
+    `).join('')}
+  `;
+  document.body.appendChild(pop);
+
+  pop.querySelector('#displayOpen').addEventListener('change', e => setDisplayOpen(e.target.checked));
+  pop.querySelectorAll('[data-field]').forEach(box => box.addEventListener('change', () => {
+    prefs.displayFields = { ...displayFields(), [box.dataset.field]: box.checked };
+    window.api.savePrefs({ displayFields: prefs.displayFields });
+    pushDisplayState();
+  }));
+
+  const r = anchor.getBoundingClientRect();
+  pop.style.left = `${Math.max(8, Math.min(r.left, window.innerWidth - pop.offsetWidth - 8))}px`;
+  pop.style.top  = `${r.bottom + 6}px`;
+  setTimeout(() => document.addEventListener('click', closePopupMenu, { once: true }), 0);
+}
+
+async function setDisplayOpen(open) {
+  displayOpen = open;
+  document.getElementById('displayBtn').classList.toggle('active', open);
+  if (!open) { await window.api.closeDisplay(); return; }
+  await window.api.openDisplay();
+  displayKey = null;
+  pushDisplayState();
+}
+
+// Sends what the bar shows to the display window. Called on every poll and
+// whenever the queue changes; the display counts down by itself in between.
+function pushDisplayState() {
+  if (!displayOpen) return;
+  const next  = djTracks.find(t => t.id === djQueue[0]);
+  const state = {
+    track:      nowPlayingInfo,
+    isPlaying:  !lastPaused,
+    durationMs: pollDuration,
+    next:       next ? { name: next.name, artist: next.artist, bpm: next.bpm } : null,
+    fields:     displayFields(),
+  };
+  const key = JSON.stringify({ ...state, pollSyncPos, pollSyncAt });
+  if (key === displayKey) return;
+  displayKey = key;
+  const positionMs = pollSyncPos + (lastPaused ? 0 : Date.now() - pollSyncAt);
+  window.api.updateDisplay({ ...state, positionMs });
+}
+
+// ── Sets ──────────────────────────────────────────────────────────────────────
+
+const SET_DRAG_TYPE = 'application/x-swingdj-set-index';
+
+function setupSets() {
+  const overlay  = document.getElementById('setsOverlay');
+  const openBtn  = document.getElementById('setsBtn');
+  const closeBtn = document.getElementById('setsCloseBtn');
+  const newForm  = document.getElementById('newSetForm');
+  const newInput = document.getElementById('newSetInput');
+
+  openBtn.addEventListener('click', async () => {
+    djSets = await window.api.getSets();
+    if (!djSets.some(s => s.id === activeSetId)) activeSetId = djSets[0]?.id || null;
+    renderSetsModal();
+    overlay.classList.remove('hidden');
+  });
+
+  closeBtn.addEventListener('click', () => overlay.classList.add('hidden'));
+  overlay.addEventListener('click', e => { if (e.target === overlay) overlay.classList.add('hidden'); });
+
+  newForm.addEventListener('submit', async e => {
+    e.preventDefault();
+    const result = await window.api.createSet(newInput.value);
+    if (result.error) { setStatus(result.error, 'error'); return; }
+    newInput.value = '';
+    djSets.push(result.set);
+    activeSetId = result.set.id;
+    renderSetsModal();
+  });
+}
+
+function replaceSet(set) {
+  const i = djSets.findIndex(s => s.id === set.id);
+  if (i >= 0) djSets[i] = set; else djSets.push(set);
+}
+
+function showAddToSetMenu(anchor, track) {
+  const items = djSets.map(set => ({
+    label: `${set.trackIds.includes(track.id) ? '✓ ' : ''}${set.name}`,
+    disabled: set.trackIds.includes(track.id),
+    onClick: async () => {
+      const result = await window.api.addToSet(set.id, track.id);
+      if (result.error) { setStatus(result.error, 'error'); return; }
+      replaceSet(result.set);
+      setStatus(result.duplicate ? `Already in ${set.name}.` : `Added to ${set.name}.`, result.duplicate ? '' : 'ok');
+    },
+  }));
+  if (!items.length) items.push({ label: 'No sets yet — create one in Sets', disabled: true });
+  showPopupMenu(anchor, items);
+}
+
+function renderSetsModal() {
+  const listEl = document.getElementById('setsList');
+  listEl.innerHTML = '';
+  if (!djSets.length) listEl.innerHTML = '<div class="sets-empty">No sets yet</div>';
+
+  djSets.forEach(set => {
+    const item = document.createElement('button');
+    item.className = 'sets-list-item' + (set.id === activeSetId ? ' active' : '');
+    item.innerHTML = `
+      <span class="sets-list-name">${esc(set.name)}</span>
+      <span class="sets-list-count">${set.trackIds.length}</span>
+    `;
+    item.addEventListener('click', () => { activeSetId = set.id; renderSetsModal(); });
+    listEl.appendChild(item);
+  });
+
+  renderSetDetail(djSets.find(s => s.id === activeSetId) || null);
+}
+
+function renderSetDetail(set) {
+  const detail = document.getElementById('setDetail');
+  if (!set) {
+    detail.innerHTML = '<div class="sets-empty">Create a set, then use “+ Set” on a track card to fill it.</div>';
+    return;
+  }
+
+  const byId   = new Map(djTracks.map(t => [t.id, t]));
+  const tracks = set.trackIds.map(id => byId.get(id)).filter(Boolean);
+  const total  = tracks.reduce((sum, t) => sum + (t.duration || 0), 0);
+  const bpms   = tracks.map(t => t.bpm).filter(Boolean);
+  const bpmSummary = bpms.length
+    ? `${Math.min(...bpms)}–${Math.max(...bpms)} BPM · avg ${Math.round(bpms.reduce((a, b) => a + b, 0) / bpms.length)}`
+    : 'No BPM data';
+
+  detail.innerHTML = `
+    <div class="set-header">
+      <input class="set-name-input" id="setNameInput" value="${esc(set.name)}" spellcheck="false" />
+      <button class="btn-icon" id="queueSetBtn">+ Queue all</button>
+      <button class="btn-icon" id="exportSetBtn">⇪ Export</button>
+      <button class="btn-icon" id="deleteSetBtn">✕ Delete set</button>
+    </div>
+    <div class="set-totals">
+      <span>${tracks.length} track${tracks.length !== 1 ? 's' : ''}</span>
+      <span>${fmtTotal(total)}</span>
+      <span>${bpmSummary}</span>
+    </div>
+    ${renderBpmCurve(tracks)}
+    <div class="set-tracks" id="setTracks"></div>
+  `;
+
+  const nameInput = document.getElementById('setNameInput');
+  nameInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter')  { e.preventDefault(); nameInput.blur(); }
+    if (e.key === 'Escape') { nameInput.value = set.name; nameInput.blur(); }
+  });
+  nameInput.addEventListener('blur', async () => {
+    if (nameInput.value.trim() === set.name) return;
+    const result = await window.api.renameSet(set.id, nameInput.value);
+    if (result.error) { nameInput.value = set.name; setStatus(result.error, 'error'); return; }
+    replaceSet(result.set);
+    renderSetsModal();
+  });
+
+  document.getElementById('queueSetBtn').addEventListener('click', () => addToQueue(tracks.map(t => t.id)));
+  document.getElementById('exportSetBtn').addEventListener('click', () => openExport(`set:${set.id}`));
+
+  document.getElementById('deleteSetBtn').addEventListener('click', async () => {
+    if (!confirm(`Delete the set “${set.name}”? Tracks stay in your library.`)) return;
+    await window.api.deleteSet(set.id);
+    djSets = djSets.filter(s => s.id !== set.id);
+    activeSetId = djSets[0]?.id || null;
+    renderSetsModal();
+  });
+
+  const listEl = document.getElementById('setTracks');
+  if (!tracks.length) { listEl.innerHTML = '<div class="sets-empty">This set is empty.</div>'; return; }
+
+  let startsAt = 0;
+  tracks.forEach((track, index) => {
+    const row = document.createElement('div');
+    row.className = 'set-row';
+    row.draggable = true;
+    row.innerHTML = `
+      <span class="set-row-handle" title="Drag to reorder">⋮⋮</span>
+      <span class="set-row-index">${index + 1}</span>
+      <div class="set-row-info">
+        <div class="set-row-name">${esc(track.name)}</div>
+        <div class="set-row-meta">${esc(track.artist)}</div>
+      </div>
+      <span class="set-row-start" title="Starts at">${startsAt ? fmtDuration(startsAt) : '0:00'}</span>
+      <span class="badge badge-bpm">${track.bpm ? `${track.bpm} BPM` : '— BPM'}</span>
+      <span class="badge badge-duration">${fmtDuration(track.duration)}</span>
+      <button class="btn-icon set-row-play" title="Play">▶</button>
+      <button class="btn-icon set-row-remove" title="Remove from set">✕</button>
+    `;
+    startsAt += track.duration || 0;
+
+    row.querySelector('.set-row-play').addEventListener('click', () => playTrack(track.id));
+    row.querySelector('.set-row-remove').addEventListener('click', async () => {
+      const result = await window.api.removeFromSet(set.id, track.id);
+      if (result.error) { setStatus(result.error, 'error'); return; }
+      replaceSet(result.set);
+      renderSetsModal();
+    });
+
+    row.addEventListener('dragstart', e => {
+      e.dataTransfer.setData(SET_DRAG_TYPE, String(index));
+      e.dataTransfer.effectAllowed = 'move';
+      row.classList.add('dragging');
+    });
+    row.addEventListener('dragend', () => row.classList.remove('dragging'));
+    row.addEventListener('dragover', e => {
+      if (!e.dataTransfer.types.includes(SET_DRAG_TYPE)) return;
+      e.preventDefault(); e.stopPropagation();
+      row.classList.add('drag-over');
+    });
+    row.addEventListener('dragleave', () => row.classList.remove('drag-over'));
+    row.addEventListener('drop', async e => {
+      if (!e.dataTransfer.types.includes(SET_DRAG_TYPE)) return;
+      e.preventDefault(); e.stopPropagation();
+      row.classList.remove('drag-over');
+      const from = parseInt(e.dataTransfer.getData(SET_DRAG_TYPE), 10);
+      if (isNaN(from) || from === index) return;
+      await moveSetTrack(set, tracks.map(t => t.id), from, index);
+    });
+
+    listEl.appendChild(row);
+  });
+}
+
+async function moveSetTrack(set, visibleIds, from, to) {
+  const ids = [...visibleIds];
+  const [moved] = ids.splice(from, 1);
+  ids.splice(to, 0, moved);
+  // Keep any ids that no longer resolve to a library track at the end
+  const order  = [...ids, ...set.trackIds.filter(id => !ids.includes(id))];
+  const before = [...set.trackIds];
+  try {
+    await applySetOrder(set.id, order);
+  } catch (err) {
+    setStatus(err.message, 'error');
+    return;
+  }
+  pushUndo(`reorder of “${set.name}”`, () => applySetOrder(set.id, before), () => applySetOrder(set.id, order));
+}
+
+async function applySetOrder(setId, order) {
+  const result = await window.api.reorderSet(setId, order);
+  if (result.error) throw new Error(result.error);
+  replaceSet(result.set);
+  renderSetsModal();
+}
+
+// Inline SVG sparkline of BPM by position in the set
+function renderBpmCurve(tracks) {
+  const points = tracks.map((t, i) => ({ i, bpm: t.bpm })).filter(p => p.bpm);
+  if (points.length < 2) return '';
+
+  const w = 100, h = 30, pad = 3;
+  const min = Math.min(...points.map(p => p.bpm));
+  const max = Math.max(...points.map(p => p.bpm));
+  const x = i => tracks.length > 1 ? (i / (tracks.length - 1)) * w : w / 2;
+  const y = bpm => max === min ? h / 2 : pad + (1 - (bpm - min) / (max - min)) * (h - pad * 2);
+  const line = points.map(p => `${x(p.i).toFixed(2)},${y(p.bpm).toFixed(2)}`).join(' ');
+  const dots = points.map(p =>
+    `<circle cx="${x(p.i).toFixed(2)}" cy="${y(p.bpm).toFixed(2)}" r="1.1"><title>${p.i + 1}: ${p.bpm} BPM</title></circle>`
+  ).join('');
+
+  return `
+    <div class="set-curve">
+      <span class="set-curve-label">${max}</span>
+      <svg viewBox="0 0 ${w} ${h}" preserveAspectRatio="none"><polyline points="${line}" />${dots}</svg>
+      <span class="set-curve-label">${min}</span>
+    </div>
+  `;
+}
+
+// ── Drop & paste ──────────────────────────────────────────────────────────────
+
+function setupDrop() {
+  const zone       = document.getElementById('dropZone');
+  const isInternal = e => [SET_DRAG_TYPE, QUEUE_DRAG_TYPE].some(t => e.dataTransfer?.types.includes(t));
+  const activate   = e => { if (isInternal(e)) return; e.preventDefault(); zone.classList.add('active'); };
+  const deactivate = () => zone.classList.remove('active');
 
   document.addEventListener('dragenter', activate);
   document.addEventListener('dragover',  activate);
@@ -660,7 +2987,10 @@ function setupDrop() {
     if (!e.relatedTarget || !document.body.contains(e.relatedTarget)) deactivate();
   });
   document.addEventListener('drop', async e => {
+    if (isInternal(e)) return;
     e.preventDefault(); deactivate();
+    const audioPaths = [...e.dataTransfer.files].filter(f => AUDIO_FILE_PATTERN.test(f.name)).map(f => f.path).filter(Boolean);
+    if (audioPaths.length) { await handleAudioFiles(audioPaths); return; }
     const candidates = [];
     const plain = e.dataTransfer.getData('text/plain');
     if (plain) candidates.push(plain);
@@ -672,14 +3002,19 @@ function setupDrop() {
       }
     }
     const uri = candidates.map(extractSpotifyUri).find(Boolean);
-    if (!uri) { setStatus("That doesn't look like a Spotify track. Try dragging from the Spotify app.", 'error'); return; }
-    await handleTrackUri(uri);
+    if (uri) { await handleTrackUri(uri); return; }
+    const collection = candidates.map(extractSpotifyCollection).find(Boolean);
+    if (collection) { await handleCollectionUri(collection); return; }
+    setStatus("That doesn't look like a Spotify track, playlist or album, or an MP3, FLAC, WAV or OGG file.", 'error');
   });
   document.addEventListener('paste', async e => {
     const text = (e.clipboardData || window.clipboardData).getData('text/plain');
     const uri  = extractSpotifyUri(text);
-    if (uri) { e.preventDefault(); await handleTrackUri(uri); }
+    if (uri) { e.preventDefault(); await handleTrackUri(uri); return; }
+    const collection = extractSpotifyCollection(text);
+    if (collection) { e.preventDefault(); await handleCollectionUri(collection); }
   });
+  window.api.onImportProgress(showImportProgress);
 }
 
 async function handleTrackUri(uri) {
@@ -692,6 +3027,656 @@ async function handleTrackUri(uri) {
   renderTracks(tracks);
 }
 
+let importRunning = false;
+
+async function handleCollectionUri(uri) {
+  if (importRunning || refreshRunning) { setStatus('An import or refresh is already running.', 'info'); return; }
+  importRunning = true;
+  setStatus(`Importing ${uri.split(':')[1]}…`, 'info');
+  try {
+    const result = await window.api.importCollection(uri);
+    if (result.error) { setStatus(result.error, 'error'); return; }
+
+    const parts = [`${result.added} added`, `${result.skipped} already in library`];
+    if (result.failed) parts.push(`${result.failed} failed`);
+    setStatus(`Imported “${result.name}”: ${parts.join(', ')}`, result.failed ? 'info' : 'ok');
+    if (result.failures.length) console.warn('Import failures:', result.failures);
+
+    if (result.added) renderTracks(await window.api.getTracks());
+  } finally {
+    importRunning = false;
+    document.getElementById('importProgress').classList.add('hidden');
+  }
+}
+
+function showImportProgress({ phase, name, done, total }) {
+  const wrap = document.getElementById('importProgress');
+  wrap.classList.remove('hidden');
+  wrap.querySelector('.import-progress-fill').style.width = total ? `${Math.min(100, (done / total) * 100)}%` : '0%';
+  const what = { fetch: 'Reading', features: 'Looking up BPM for', refresh: 'Checking', analyse: 'Measuring BPM of' }[phase];
+  setStatus(`${what} “${name}”… ${done} / ${total}`, 'info');
+}
+
+// ── Local audio ───────────────────────────────────────────────────────────────
+// Dropped MP3/FLAC/WAV/OGG files live in the library next to Spotify tracks
+// and play through one <audio> element. While a local file is loaded, the
+// transport functions and the poll use it instead of Spotify.
+
+const AUDIO_FILE_PATTERN = /\.(mp3|flac|wav|ogg)$/i;
+
+function isLocalTrack(track) {
+  return track.source === 'local';
+}
+
+function localFileUrl(filePath) {
+  const parts = filePath.replace(/\\/g, '/').split('/')
+    .map((part, i) => (i === 0 && /^[A-Za-z]:$/.test(part) ? part : encodeURIComponent(part)));
+  const joined = parts.join('/');
+  return `file://${joined.startsWith('/') ? '' : '/'}${joined}`;
+}
+
+function setupLocalAudio() {
+  localAudio = new Audio();
+  localAudio.preload = 'auto';
+  ['play', 'pause', 'ended', 'seeked'].forEach(type => localAudio.addEventListener(type, () => {
+    if (localTrackId) pollPlaybackState();
+  }));
+  localAudio.addEventListener('error', () => {
+    const track = djTracks.find(t => t.id === localTrackId);
+    if (track) setStatus(`Can't play “${track.name}” — is ${track.filePath} still there?`, 'error');
+  });
+}
+
+// Shaped like Spotify's /v1/me/player response so the poll can treat both alike
+function localPlayerState() {
+  const track = djTracks.find(t => t.id === localTrackId);
+  const durSecs = Number.isFinite(localAudio.duration) ? localAudio.duration : track?.duration || 0;
+  return {
+    is_playing: !localAudio.paused,
+    progress_ms: Math.round(localAudio.currentTime * 1000),
+    item: { id: localTrackId, name: track?.name || '', artists: [{ name: track?.artist || '' }], duration_ms: Math.round(durSecs * 1000) },
+    device: null,
+  };
+}
+
+async function playLocalTrack(track, positionMs = 0) {
+  if (!localTrackId && accessToken && !lastPaused) {
+    try { await pausePlayback(); } catch (err) { console.warn('Could not pause Spotify:', err.message); }
+  }
+  if (localTrackId !== track.id) {
+    localTrackId = track.id;
+    localAudio.src = localFileUrl(track.filePath);
+  }
+  localAudio.volume = (deviceVolume ?? 80) / 100;
+  localAudio.currentTime = positionMs / 1000;
+  try {
+    await localAudio.play();
+  } catch (err) {
+    setStatus(`Can't play “${track.name}”: ${err.message}`, 'error');
+  }
+  if (!document.getElementById('playPauseBtn')) renderBarLoggedIn(userDisplayName);
+  if (!pollInterval) startPolling();
+}
+
+function toggleLocalPlayback() {
+  if (localAudio.paused) localAudio.play().catch(err => setStatus(`Playback failed: ${err.message}`, 'error'));
+  else localAudio.pause();
+  lastPaused = localAudio.paused;
+  const ppBtn = document.getElementById('playPauseBtn');
+  if (ppBtn) ppBtn.textContent = lastPaused ? '▶' : '⏸';
+  if (lastPaused) clearInterval(progressTimer);
+}
+
+function stopLocalPlayback() {
+  localTrackId = null;
+  localAudio.pause();
+  localAudio.removeAttribute('src');
+  localAudio.load();
+}
+
+async function handleAudioFiles(filePaths) {
+  if (importRunning || refreshRunning) { setStatus('An import or refresh is already running.', 'info'); return; }
+  importRunning = true;
+  setStatus(`Adding ${filePaths.length} file${filePaths.length !== 1 ? 's' : ''}…`, 'info');
+  try {
+    const result = await window.api.addLocalFiles(filePaths);
+    if (result.error) { setStatus(result.error, 'error'); return; }
+    if (result.added.length) renderTracks(await window.api.getTracks());
+
+    // Files whose tags lack a BPM (or a length) are measured one at a time
+    const pending = result.added.filter(t => t.bpm == null || t.duration == null);
+    let measured = 0, unmeasured = 0, tooLarge = 0;
+    for (let i = 0; i < pending.length; i++) {
+      showImportProgress({ phase: 'analyse', name: pending[i].name, done: i + 1, total: pending.length });
+      try {
+        if (await analyseLocalTrack(pending[i])) measured++;
+      } catch (err) {
+        if (err.kind === 'too-large') { tooLarge++; continue; }
+        unmeasured++;
+        console.warn(`BPM analysis failed for ${pending[i].filePath}:`, err.message);
+      }
+    }
+    if (pending.length) renderTracks(await window.api.getTracks());
+
+    const parts = [`${result.added.length} added`];
+    if (result.duplicates) parts.push(`${result.duplicates} already in library`);
+    if (measured)          parts.push(`BPM measured for ${measured}`);
+    if (unmeasured)        parts.push(`${unmeasured} could not be analysed`);
+    if (tooLarge)          parts.push(`${tooLarge} too large to analyse`);
+    if (result.failed.length) parts.push(`${result.failed.length} failed`);
+    setStatus(`Local files: ${parts.join(', ')}`, result.failed.length || unmeasured || tooLarge ? 'info' : 'ok');
+    if (result.failed.length) console.warn('Local file failures:', result.failed);
+  } finally {
+    importRunning = false;
+    document.getElementById('importProgress').classList.add('hidden');
+  }
+}
+
+// Enough for the analysis window of most files: about three minutes of
+// CD-quality WAV and far more of MP3 or FLAC
+const ANALYSE_MAX_BYTES = 32 * 1024 * 1024;
+
+// Decodes the start of the file, measures it and saves the result; true if
+// a BPM was found. Throws an error of kind 'too-large' when the part that
+// fits can't be decoded on its own.
+async function analyseLocalTrack(track) {
+  const file = await window.api.readLocalFile(track.id, ANALYSE_MAX_BYTES);
+  if (file.error) throw new Error(file.error);
+  // A cut-off file only decodes as far as it goes, so its length comes
+  // from the media element instead
+  const duration = file.partial ? await mediaDuration(track.filePath) : null;
+  let analysis;
+  try {
+    analysis = await analyseTempo(file.data, duration);
+  } catch (err) {
+    if (!file.partial) throw err;
+    const tooLarge = new Error('Too large to analyse');
+    tooLarge.kind = 'too-large';
+    throw tooLarge;
+  }
+  const result = await window.api.saveLocalAnalysis(track.id, analysis);
+  if (result.error) throw new Error(result.error);
+  return track.bpm == null && result.track.bpm != null;
+}
+
+// Offline BPM estimate: an onset envelope (rises in log energy every ~4 ms)
+// is autocorrelated over 60–320 BPM and weighted towards typical swing
+// tempos. Swung eighths fall at 2/3 of a beat, so when half the winning lag
+// still correlates strongly the beat is really that short (a 220 BPM
+// balboa otherwise reads as 110).
+
+const TEMPO_RATE   = 11025;     // analysis sample rate (Hz)
+const TEMPO_HOP    = 44;        // samples per envelope step
+const TEMPO_SMOOTH = 3;         // envelope smoothing, steps either side
+const TEMPO_WINDOW = 120;       // seconds analysed
+const TEMPO_MIN    = 60;
+const TEMPO_MAX    = 320;
+const TEMPO_CENTRE = 160;       // prior peak (BPM); falls off over about an octave
+
+// `duration` (seconds) is the whole file's, when `bytes` is only its start
+async function analyseTempo(bytes, duration = null) {
+  const buffer  = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  const decoded = await new OfflineAudioContext(1, 1, TEMPO_RATE).decodeAudioData(buffer);
+  const total   = duration ?? decoded.duration;
+  // Skip the intro, which is often rubato or a solo pickup
+  const from = Math.floor(Math.min(total * 0.1, 30) * TEMPO_RATE);
+  const to   = Math.min(decoded.length, from + TEMPO_WINDOW * TEMPO_RATE);
+  const channels = Array.from({ length: decoded.numberOfChannels }, (_, c) => decoded.getChannelData(c));
+  return { ...detectTempo(channels, from, to), duration: Math.round(total) || null };
+}
+
+// Length in seconds as the media element reads it from the file's headers,
+// or null
+function mediaDuration(filePath) {
+  return new Promise(resolve => {
+    const audio = new Audio();
+    audio.preload = 'metadata';
+    const done = secs => {
+      audio.removeAttribute('src');
+      audio.load();
+      resolve(Number.isFinite(secs) && secs > 0 ? secs : null);
+    };
+    audio.addEventListener('loadedmetadata', () => done(audio.duration), { once: true });
+    audio.addEventListener('error', () => done(null), { once: true });
+    audio.src = localFileUrl(filePath);
+  });
+}
+
+function detectTempo(channels, from, to) {
+  const frames = Math.floor((to - from) / TEMPO_HOP);
+  const hopSecs = TEMPO_HOP / TEMPO_RATE;
+  const minLag = Math.floor(60 / TEMPO_MAX / hopSecs);
+  const maxLag = Math.ceil(60 / TEMPO_MIN / hopSecs);
+  if (frames < maxLag * 4) return { bpm: null, tempoConfidence: null };
+
+  // 1. Onset strength: how much the log energy rises from one step to the next
+  const rise = new Float32Array(frames);
+  let prev = 0;
+  for (let f = 0; f < frames; f++) {
+    let energy = 0;
+    for (let i = from + f * TEMPO_HOP, end = i + TEMPO_HOP; i < end; i++) {
+      let v = 0;
+      for (const ch of channels) v += ch[i];
+      energy += v * v;
+    }
+    const log = Math.log(1e-6 + energy);
+    rise[f] = f ? Math.max(0, log - prev) : 0;
+    prev = log;
+  }
+
+  // 2. Smooth (beats rarely land on whole steps) and remove the mean
+  const onset = new Float32Array(frames);
+  let mean = 0;
+  for (let f = 0; f < frames; f++) {
+    let sum = 0, n = 0;
+    for (let k = Math.max(0, f - TEMPO_SMOOTH); k <= Math.min(frames - 1, f + TEMPO_SMOOTH); k++) { sum += rise[k]; n++; }
+    onset[f] = sum / n;
+    mean += onset[f] / frames;
+  }
+  for (let f = 0; f < frames; f++) onset[f] -= mean;
+
+  // 3. Autocorrelate and pick the best-weighted lag
+  const corr = lag => {
+    let sum = 0;
+    for (let f = lag; f < frames; f++) sum += onset[f] * onset[f - lag];
+    return sum / (frames - lag);
+  };
+  const ac = new Float32Array(maxLag + 2);
+  for (let lag = Math.max(1, Math.floor(minLag / 2) - 1); lag < ac.length; lag++) ac[lag] = corr(lag);
+
+  let best = -Infinity, lag = 0;
+  for (let l = minLag; l <= maxLag; l++) {
+    const prior = Math.exp(-0.5 * Math.log2(60 / (l * hopSecs) / TEMPO_CENTRE) ** 2);
+    if (ac[l] * prior > best) { best = ac[l] * prior; lag = l; }
+  }
+  while (Math.round(lag / 2) >= minLag && ac[Math.round(lag / 2)] >= 0.8 * ac[lag]) lag = Math.round(lag / 2);
+
+  // 4. Refine between steps with a parabola through the peak
+  const [a, b, c] = [ac[lag - 1], ac[lag], ac[lag + 1]];
+  const shift = a - 2 * b + c ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / (a - 2 * b + c))) : 0;
+  const zero = corr(0);
+  return {
+    bpm: Math.round(60 / ((lag + shift) * hopSecs)),
+    tempoConfidence: zero > 0 ? Math.round(Math.max(0, Math.min(1, b / zero)) * 100) / 100 : null,
+  };
+}
+
+// ── Library refresh ───────────────────────────────────────────────────────────
+
+// Card badges for tracks the last refresh flagged
+const AVAILABILITY_BADGES = {
+  unavailable: { text: '⚠ Unavailable', title: 'Not playable in your country — use Refresh to find another version' },
+  relinked:    { text: '↪ Relinked',    title: 'Spotify now plays a different version of this track' },
+  removed:     { text: '✕ Gone',        title: 'No longer on Spotify' },
+};
+
+let refreshRunning = false;
+
+function setupLibraryRefresh() {
+  const overlay = document.getElementById('refreshOverlay');
+  document.getElementById('refreshLibraryBtn').addEventListener('click', runLibraryRefresh);
+  document.getElementById('refreshCloseBtn').addEventListener('click', () => overlay.classList.add('hidden'));
+  overlay.addEventListener('click', e => { if (e.target === overlay) overlay.classList.add('hidden'); });
+}
+
+async function runLibraryRefresh() {
+  if (refreshRunning || importRunning) { setStatus('An import or refresh is already running.', 'info'); return; }
+  if (!djTracks.length) { setStatus('Nothing to refresh yet.', 'info'); return; }
+  refreshRunning = true;
+  setStatus('Checking library…', 'info');
+  try {
+    const report = await window.api.refreshLibrary();
+    if (report.error) { setStatus(report.error, 'error'); return; }
+    renderTracks(await window.api.getTracks());
+    const issues = report.unavailable.length + report.relinked.length + report.removed.length;
+    setStatus(`Checked ${report.checked} tracks: ${report.filled} field${report.filled !== 1 ? 's' : ''} filled in, ` +
+      `${issues} need${issues === 1 ? 's' : ''} attention.`, issues ? 'info' : 'ok');
+    renderRefreshReport(report);
+  } finally {
+    refreshRunning = false;
+    document.getElementById('importProgress').classList.add('hidden');
+  }
+}
+
+function renderRefreshReport(report) {
+  document.getElementById('refreshSummary').textContent =
+    `Checked ${report.checked} track${report.checked !== 1 ? 's' : ''} · ${report.filled} empty field${report.filled !== 1 ? 's' : ''} ` +
+    `filled on ${report.updated} track${report.updated !== 1 ? 's' : ''}` +
+    (report.market ? ` · availability for ${report.market}` : ' · log in with Spotify to check availability in your country');
+
+  const body = document.getElementById('refreshBody');
+  body.innerHTML = '';
+  const sections = [
+    ['relinked',    'Relinked to another version', report.relinked],
+    ['unavailable', 'Unavailable in your country',  report.unavailable],
+    ['removed',     'No longer on Spotify',         report.removed],
+  ].filter(([, , items]) => items.length);
+  if (!sections.length) body.innerHTML = '<div class="browser-loading">Every track is playable ✓</div>';
+
+  sections.forEach(([kind, title, items]) => {
+    const section = document.createElement('div');
+    section.className = 'refresh-section';
+    section.innerHTML = `<h3>${title} (${items.length})</h3>`;
+    items.forEach(item => section.appendChild(renderRefreshRow(kind, item)));
+    body.appendChild(section);
+  });
+  document.getElementById('refreshOverlay').classList.remove('hidden');
+}
+
+function renderRefreshRow(kind, item) {
+  const row = document.createElement('div');
+  row.className = 'refresh-row';
+  row.innerHTML = `
+    <div class="refresh-row-main">
+      <span class="refresh-row-name">${esc(item.name)} <span>— ${esc(item.artist)}${item.reason ? ` · ${esc(item.reason)}` : ''}</span></span>
+      ${kind === 'relinked' ? '<button class="browser-more-btn use-btn">Use new version</button>' : ''}
+      <button class="browser-more-btn alt-btn">Find versions…</button>
+      <button class="browser-more-btn remove-btn">Remove</button>
+    </div>
+    <div class="refresh-alternates"></div>`;
+
+  const done = label => {
+    row.classList.add('done');
+    row.querySelectorAll('button').forEach(b => { b.disabled = true; });
+    row.querySelector('.refresh-alternates').textContent = label;
+  };
+
+  row.querySelector('.use-btn')?.addEventListener('click', async () => {
+    if (await replaceTrackVersion(item.id, item.relinkedId)) done('Replaced ✓');
+  });
+  row.querySelector('.remove-btn').addEventListener('click', async () => {
+    try {
+      let removed = await removeTrack(item.id);
+      pushUndo(`remove “${item.name}”`,
+        () => restoreTrack(removed),
+        async () => { removed = await removeTrack(item.id); });
+      setStatus(`Track removed — ${item.name}`, 'ok', { label: 'Undo', onClick: undoLast });
+      done('Removed');
+    } catch (err) {
+      setStatus(err.message, 'error');
+    }
+  });
+  row.querySelector('.alt-btn').addEventListener('click', async () => {
+    const wrap = row.querySelector('.refresh-alternates');
+    wrap.textContent = 'Searching…';
+    const result = await window.api.findAlternates(item.id);
+    if (result.error) { wrap.textContent = result.error; return; }
+    if (!result.tracks.length) { wrap.textContent = 'No other playable versions found.'; return; }
+    wrap.innerHTML = '';
+    result.tracks.forEach(alt => {
+      const el = document.createElement('div');
+      el.className = 'refresh-alt';
+      el.innerHTML = `
+        <span class="refresh-alt-name">${esc(alt.name)} — ${esc(alt.artist)} · ${esc(alt.album)}</span>
+        <span class="refresh-alt-meta">${alt.releaseYear || ''} ${fmtDuration(alt.duration)}</span>
+        <button class="browser-more-btn">Replace</button>`;
+      el.querySelector('button').addEventListener('click', async () => {
+        if (await replaceTrackVersion(item.id, alt.id)) done(`Replaced with “${alt.name}” (${alt.album}) ✓`);
+      });
+      wrap.appendChild(el);
+    });
+  });
+  return row;
+}
+
+// Swaps a library track for another Spotify version, keeping BPM, notes,
+// tags and set positions. Undoable; returns false on failure.
+async function replaceTrackVersion(oldId, newId, undoable = true) {
+  const result = await window.api.replaceTrack(oldId, newId);
+  if (result.error) { setStatus(result.error, 'error'); return false; }
+  const i = djTracks.findIndex(t => t.id === oldId);
+  if (i >= 0) djTracks[i] = result.track;
+  djSets = await window.api.getSets();
+  if (djQueue.includes(oldId)) { djQueue = djQueue.map(id => (id === oldId ? newId : id)); saveQueue(); renderQueue(); }
+  if (selectedTrackIds.delete(oldId)) selectedTrackIds.add(newId);
+  renderTrackList();
+  renderSuggestions();
+  if (undoable) {
+    pushUndo(`replacing “${result.track.name}”`,
+      async () => { if (!await replaceTrackVersion(newId, oldId, false)) throw new Error('replace failed'); },
+      async () => { if (!await replaceTrackVersion(oldId, newId, false)) throw new Error('replace failed'); });
+  }
+  setStatus(`Replaced with ${result.track.name} — ${result.track.album}`, 'ok');
+  return true;
+}
+
+// ── Export ────────────────────────────────────────────────────────────────────
+
+// Track lists the export modal can draw from, in play order
+function exportSources() {
+  const sources = [];
+  if (selectedTrackIds.size) {
+    const selected = filterAndSortTracks(djTracks).filter(t => selectedTrackIds.has(t.id));
+    sources.push({ id: 'selection', label: `Selected tracks (${selected.length})`, tracks: selected });
+  }
+  const view = filterAndSortTracks(djTracks);
+  sources.push({ id: 'view', label: `Library as shown (${view.length})`, tracks: view });
+  const byId = new Map(djTracks.map(t => [t.id, t]));
+  djSets.forEach(set => {
+    const tracks = set.trackIds.map(id => byId.get(id)).filter(Boolean);
+    sources.push({ id: `set:${set.id}`, label: `Set: ${set.name} (${tracks.length})`, tracks, name: set.name });
+  });
+  return sources;
+}
+
+let exportPlaylists = [];
+let exportUser      = null;
+
+function setupExport() {
+  const overlay   = document.getElementById('exportOverlay');
+  const sourceEl  = document.getElementById('exportSource');
+  const targetEl  = document.getElementById('exportPlaylist');
+  const nameEl    = document.getElementById('exportPlaylistName');
+  const cancelBtn = document.getElementById('cancelExportBtn');
+  const runBtn    = document.getElementById('runExportBtn');
+
+  document.getElementById('exportBtn').addEventListener('click', () => openExport());
+  document.getElementById('selectionExportBtn').addEventListener('click', () => openExport('selection'));
+  cancelBtn.addEventListener('click', () => overlay.classList.add('hidden'));
+  overlay.addEventListener('click', e => { if (e.target === overlay) overlay.classList.add('hidden'); });
+
+  sourceEl.addEventListener('change', syncExportForm);
+  targetEl.addEventListener('change', syncExportForm);
+  document.getElementById('exportDest').addEventListener('change', syncExportForm);
+  runBtn.addEventListener('click', async () => {
+    const source = exportSources().find(s => s.id === sourceEl.value);
+    if (!source || !source.tracks.length) { setStatus('Nothing to export.', 'error'); return; }
+    const dest = document.getElementById('exportDest').value;
+    runBtn.disabled = true;
+    try {
+      if (dest !== 'spotify') {
+        const result = await window.api.exportTracks(source.tracks.map(t => t.id), dest);
+        if (result.canceled) return;
+        if (result.error) { setStatus(result.error, 'error'); return; }
+        setStatus(`Exported ${result.count} track${result.count !== 1 ? 's' : ''} to ${result.path}`, 'ok');
+        overlay.classList.add('hidden');
+        return;
+      }
+      const exported = await exportToSpotify(source.tracks, {
+        playlistId: targetEl.value || null,
+        name:       nameEl.value.trim() || source.name || 'Swing DJ Companion export',
+        isPublic:   document.getElementById('exportPublic').checked,
+        replace:    document.querySelector('input[name=exportMode]:checked').value === 'replace',
+      });
+      if (exported) overlay.classList.add('hidden');
+    } finally {
+      runBtn.disabled = false;
+    }
+  });
+}
+
+async function openExport(sourceId) {
+  const overlay  = document.getElementById('exportOverlay');
+  const sourceEl = document.getElementById('exportSource');
+  const targetEl = document.getElementById('exportPlaylist');
+
+  const sources = exportSources();
+  sourceEl.innerHTML = sources.map(s => `<option value="${esc(s.id)}">${esc(s.label)}</option>`).join('');
+  const fallback = activeSetId && !document.getElementById('setsOverlay').classList.contains('hidden')
+    ? `set:${activeSetId}` : sources[0].id;
+  sourceEl.value = sourceId || fallback;
+  document.getElementById('exportPlaylistName').value = '';
+
+  targetEl.innerHTML = '<option value="">New playlist…</option>';
+  overlay.classList.remove('hidden');
+  syncExportForm();
+
+  if (!accessToken) {
+    document.getElementById('exportHint').textContent = 'Log in with Spotify to export playlists.';
+    return;
+  }
+  document.getElementById('exportHint').textContent = 'Loading your playlists…';
+  try {
+    ({ me: exportUser, playlists: exportPlaylists } = await getWritablePlaylists());
+    targetEl.innerHTML = '<option value="">New playlist…</option>' +
+      exportPlaylists.map(p => `<option value="${esc(p.id)}">${esc(p.name)} (${p.tracks?.total ?? 0})</option>`).join('');
+    document.getElementById('exportHint').textContent = '';
+  } catch (err) {
+    document.getElementById('exportHint').textContent = err.message;
+  }
+  syncExportForm();
+}
+
+function syncExportForm() {
+  const toSpotify = document.getElementById('exportDest').value === 'spotify';
+  const isNew     = !document.getElementById('exportPlaylist').value;
+  document.getElementById('exportSpotifyFields').classList.toggle('hidden', !toSpotify);
+  document.getElementById('exportNewFields').classList.toggle('hidden', !isNew);
+  document.getElementById('exportModeFields').classList.toggle('hidden', isNew);
+  const source = exportSources().find(s => s.id === document.getElementById('exportSource').value);
+  document.getElementById('exportPlaylistName').placeholder = source?.name || 'Playlist name…';
+}
+
+// Writes tracks to a new or existing playlist, 100 per request, in order.
+// Reports the outcome itself; resolves true if the export went through.
+async function exportToSpotify(tracks, { playlistId, name, isPublic, replace }) {
+  const uris = tracks.filter(t => !isLocalTrack(t)).map(t => t.spotifyUri || `spotify:track:${t.id}`);
+  const localCount = tracks.length - uris.length;
+  if (!uris.length) { setStatus("Local files can't be exported to Spotify.", 'error'); return false; }
+  try {
+    if (!playlistId) {
+      const me = exportUser || await getMe();
+      const created = await spotifyFetch(`/v1/users/${encodeURIComponent(me.id)}/playlists`, {
+        method: 'POST',
+        body: JSON.stringify({ name, public: isPublic, description: 'Exported from Swing DJ Companion' }),
+      });
+      playlistId = created.id;
+      replace = false;
+    }
+
+    for (let i = 0; i < uris.length; i += 100) {
+      setStatus(`Exporting… ${Math.min(i + 100, uris.length)} / ${uris.length}`, 'info');
+      await spotifyFetch(`/v1/playlists/${playlistId}/tracks`, {
+        // PUT replaces the playlist's contents, so only the first batch may use it
+        method: replace && i === 0 ? 'PUT' : 'POST',
+        body: JSON.stringify({ uris: uris.slice(i, i + 100) }),
+      });
+    }
+    setStatus(`Exported ${uris.length} track${uris.length !== 1 ? 's' : ''} to Spotify.` +
+      (localCount ? ` ${localCount} local file${localCount !== 1 ? 's' : ''} left out.` : ''), 'ok');
+    return true;
+  } catch (err) {
+    const msg = err.kind === 'forbidden' || /scope|permission/i.test(err.message)
+      ? 'Spotify refused the export — log out and back in to grant playlist access.'
+      : err.message;
+    setStatus(msg, 'error');
+    return false;
+  }
+}
+
+// ── File import ───────────────────────────────────────────────────────────────
+
+const IMPORT_FIELD_LABELS = {
+  id: 'Spotify ID', name: 'Name', artist: 'Artist', album: 'Album', duration: 'Duration (s)',
+  bpm: 'BPM', energy: 'Energy (0–1)', spotifyUri: 'Spotify URI / link', addedAt: 'Date added',
+  notes: 'Notes', tags: 'Tags', key: 'Key (0–11)', mode: 'Mode (1 major, 0 minor)', timeSignature: 'Time signature',
+  tempoConfidence: 'Tempo confidence (0–1)', danceability: 'Danceability (0–1)', valence: 'Valence (0–1)',
+  releaseYear: 'Release year', popularity: 'Popularity (0–100)', explicit: 'Explicit',
+};
+
+function setupImport() {
+  const overlay   = document.getElementById('importOverlay');
+  const chooseBtn = document.getElementById('importChooseBtn');
+  const runBtn    = document.getElementById('runImportBtn');
+
+  document.getElementById('importBtn').addEventListener('click', () => {
+    document.getElementById('importFileLabel').textContent = 'No file chosen';
+    document.getElementById('importMapping').innerHTML = '';
+    document.getElementById('importOptions').classList.add('hidden');
+    document.getElementById('importReport').textContent = '';
+    runBtn.disabled = true;
+    overlay.classList.remove('hidden');
+  });
+  document.getElementById('cancelImportBtn').addEventListener('click', () => overlay.classList.add('hidden'));
+  overlay.addEventListener('click', e => { if (e.target === overlay) overlay.classList.add('hidden'); });
+
+  chooseBtn.addEventListener('click', async () => {
+    const result = await window.api.pickImportFile();
+    if (result.canceled) return;
+    if (result.error) { document.getElementById('importReport').textContent = result.error; return; }
+    document.getElementById('importFileLabel').textContent = `${result.fileName} · ${result.rowCount} rows`;
+    document.getElementById('importReport').textContent = '';
+    renderImportMapping(result);
+    document.getElementById('importOptions').classList.remove('hidden');
+    runBtn.disabled = false;
+  });
+
+  runBtn.addEventListener('click', async () => {
+    const mapping = {};
+    document.querySelectorAll('#importMapping select').forEach(sel => { if (sel.value) mapping[sel.dataset.field] = sel.value; });
+    if (!mapping.id && !mapping.spotifyUri) {
+      document.getElementById('importReport').textContent = 'Map a column to Spotify ID or Spotify URI first.';
+      return;
+    }
+    const mergeRule = document.querySelector('input[name=importMerge]:checked').value;
+    runBtn.disabled = true;
+    const result = await window.api.runImport(mapping, mergeRule);
+    if (result.error) { document.getElementById('importReport').textContent = result.error; runBtn.disabled = false; return; }
+
+    const lines = [`${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged, ${result.invalid.length} invalid.`];
+    result.invalid.slice(0, 8).forEach(r => lines.push(`Row ${r.row}: ${r.reason}`));
+    if (result.invalid.length > 8) lines.push(`…and ${result.invalid.length - 8} more`);
+    document.getElementById('importReport').textContent = lines.join('\n');
+    setStatus(`Import finished: ${lines[0]}`, result.invalid.length ? 'info' : 'ok');
+
+    djTags = await window.api.getTags();
+    renderTagFilter();
+    renderTracks(await window.api.getTracks());
+  });
+}
+
+// One select per library field, pre-filled where a column name matches
+function renderImportMapping({ columns, fields, sample }) {
+  const norm = str => String(str).toLowerCase().replace(/[^a-z]/g, '');
+  const aliases = { spotifyUri: ['uri', 'spotifyurl', 'link', 'url'], duration: ['length', 'time'], bpm: ['tempo'] };
+
+  const wrap = document.getElementById('importMapping');
+  wrap.innerHTML = '';
+  fields.forEach(field => {
+    const guess = columns.find(c => norm(c) === norm(field) || (aliases[field] || []).includes(norm(c))) || '';
+    const row = document.createElement('div');
+    row.className = 'import-map-row';
+    row.innerHTML = `
+      <label>${esc(IMPORT_FIELD_LABELS[field] || field)}</label>
+      <select data-field="${esc(field)}">
+        <option value="">(ignore)</option>
+        ${columns.map(c => `<option value="${esc(c)}"${c === guess ? ' selected' : ''}>${esc(c)}</option>`).join('')}
+      </select>
+      <span class="import-map-sample"></span>
+    `;
+    const sel = row.querySelector('select');
+    const sampleEl = row.querySelector('.import-map-sample');
+    const showSample = () => {
+      const idx = columns.indexOf(sel.value);
+      const val = idx >= 0 ? sample[0]?.[idx] : '';
+      sampleEl.textContent = Array.isArray(val) ? val.join('; ') : (val ?? '');
+    };
+    sel.addEventListener('change', showSample);
+    showSample();
+    wrap.appendChild(row);
+  });
+}
+
 // ── Settings modal ────────────────────────────────────────────────────────────
 
 function setupSettings() {
@@ -700,24 +3685,162 @@ function setupSettings() {
   const cancelBtn = document.getElementById('cancelSettingsBtn');
   const saveBtn   = document.getElementById('saveSettingsBtn');
   const devLink   = document.getElementById('spotifyDevLink');
+  const secretInput = document.getElementById('clientSecretInput');
+  const modeSelect  = document.getElementById('authModeSelect');
+  const passInput   = document.getElementById('passphraseInput');
+  const passBtn     = document.getElementById('passphraseBtn');
+  let creds = {};
+
+  // The main process never hands the saved secret back, only whether one
+  // exists and how secrets are protected on this machine.
+  async function load() {
+    creds = await window.api.getCredentials();
+    document.getElementById('clientIdInput').value = creds.clientId || '';
+    secretInput.value = '';
+    secretInput.placeholder = creds.hasClientSecret ? 'Saved — leave blank to keep it' : 'Paste your Client Secret…';
+    passInput.value = '';
+    modeSelect.value = creds.authMode;
+    syncMode();
+
+    const hint = document.getElementById('secretStorageHint');
+    const usePass = creds.mode === 'passphrase';
+    document.getElementById('passphraseField').classList.toggle('hidden', !usePass);
+    if (!usePass) {
+      hint.textContent = 'Your Client Secret and login are encrypted with the system keychain.';
+    } else if (creds.locked) {
+      hint.textContent = 'Your Client Secret and login are encrypted with a passphrase. Enter it to unlock them for this session.';
+      document.getElementById('passphraseLabel').textContent = 'Passphrase';
+      passBtn.textContent = 'Unlock';
+    } else if (creds.hasPassphrase) {
+      hint.textContent = 'Secrets are unlocked for this session. Enter a new passphrase to change it.';
+      document.getElementById('passphraseLabel').textContent = 'New passphrase';
+      passBtn.textContent = 'Change';
+    } else {
+      hint.textContent = 'No system keychain is available on this computer. Set a passphrase to encrypt your Client Secret and login.';
+      document.getElementById('passphraseLabel').textContent = 'New passphrase';
+      passBtn.textContent = 'Set';
+    }
+  }
+
+  // PKCE needs no secret, so the field only shows for the classic flow
+  function syncMode() {
+    document.getElementById('clientSecretField').classList.toggle('hidden', modeSelect.value === 'pkce');
+  }
 
+  modeSelect.addEventListener('change', syncMode);
   openBtn.addEventListener('click', async () => {
-    const creds = await window.api.getCredentials();
-    document.getElementById('clientIdInput').value     = creds.clientId || '';
-    document.getElementById('clientSecretInput').value = creds.clientSecret || '';
+    await load();
     overlay.classList.remove('hidden');
   });
   cancelBtn.addEventListener('click', () => overlay.classList.add('hidden'));
   overlay.addEventListener('click', e => { if (e.target === overlay) overlay.classList.add('hidden'); });
   saveBtn.addEventListener('click', async () => {
     const clientId     = document.getElementById('clientIdInput').value.trim();
-    const clientSecret = document.getElementById('clientSecretInput').value.trim();
-    if (!clientId || !clientSecret) { setStatus('Both fields are required.', 'error'); overlay.classList.add('hidden'); return; }
-    await window.api.saveCredentials({ clientId, clientSecret });
-    setStatus('Credentials saved.', 'ok');
+    const authMode     = modeSelect.value;
+    const clientSecret = authMode === 'secret' ? secretInput.value.trim() : '';
+    if (!clientId) { setStatus('A Client ID is required.', 'error'); overlay.classList.add('hidden'); return; }
+    if (authMode === 'secret' && !clientSecret && !creds.hasClientSecret) { setStatus('Both fields are required.', 'error'); overlay.classList.add('hidden'); return; }
+    const result = await window.api.saveCredentials({ clientId, clientSecret, authMode });
+    if (result.error) { setStatus(result.error, 'error'); return; }
     overlay.classList.add('hidden');
+    if (authMode !== creds.authMode && accessToken) {
+      await handleLogout();
+      setStatus('Login method changed. Log in with Spotify again.', 'info');
+      return;
+    }
+    setStatus('Credentials saved.', 'ok');
+  });
+  passBtn.addEventListener('click', async () => {
+    const passphrase = passInput.value;
+    if (!passphrase) return;
+    const unlocking = creds.locked;
+    const result = unlocking ? await window.api.unlockSecrets(passphrase) : await window.api.setPassphrase(passphrase);
+    if (result.error) { setStatus(result.error, 'error'); return; }
+    setStatus(unlocking ? 'Secrets unlocked.' : 'Passphrase saved.', 'ok');
+    await load();
+    if (unlocking && !accessToken) resumeSession();
   });
+  passInput.addEventListener('keydown', e => { if (e.key === 'Enter') passBtn.click(); });
   devLink.addEventListener('click', e => { e.preventDefault(); window.api.openExternal('https://developer.spotify.com/dashboard'); });
+  document.getElementById('openBackupsBtn').addEventListener('click', () => {
+    overlay.classList.add('hidden');
+    openBackups();
+  });
+}
+
+// ── Backups ───────────────────────────────────────────────────────────────────
+
+function setupBackups() {
+  const overlay = document.getElementById('backupsOverlay');
+  document.getElementById('backupsCloseBtn').addEventListener('click', () => overlay.classList.add('hidden'));
+  overlay.addEventListener('click', e => { if (e.target === overlay) overlay.classList.add('hidden'); });
+}
+
+async function openBackups() {
+  const { damaged, backups } = await window.api.listBackups();
+  document.getElementById('backupsHint').textContent = damaged
+    ? `Your library file can't be read (${damaged}). Pick a backup to restore.`
+    : 'A copy of your library is kept every 10 minutes while you edit it. Restoring replaces the current library; it is backed up first.';
+
+  const body = document.getElementById('backupsBody');
+  body.innerHTML = backups.length ? '' : '<div class="browser-loading">No backups yet</div>';
+  backups.forEach(b => {
+    const row = document.createElement('div');
+    row.className = `backup-row${b.ok ? '' : ' damaged'}`;
+    row.innerHTML = `
+      <span class="backup-when">${esc(new Date(b.createdAt).toLocaleString(undefined,
+        { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }))}</span>
+      <span class="backup-meta">${b.ok ? `${b.tracks} track${b.tracks !== 1 ? 's' : ''}` : 'damaged'} · ${Math.max(1, Math.round(b.size / 1024))} KB</span>
+      <button class="browser-more-btn"${b.ok ? '' : ' disabled'}>Restore</button>`;
+    row.querySelector('button').addEventListener('click', async () => {
+      if (!damaged && !confirm(`Replace your library with the backup of ${new Date(b.createdAt).toLocaleString()}?`)) return;
+      if (await restoreBackup(b.name)) document.getElementById('backupsOverlay').classList.add('hidden');
+    });
+    body.appendChild(row);
+  });
+  document.getElementById('backupsOverlay').classList.remove('hidden');
+}
+
+async function restoreBackup(name) {
+  const result = await window.api.restoreBackup(name);
+  if (result.error) { setStatus(result.error, 'error'); return false; }
+  djTags = await window.api.getTags();
+  renderTagFilter();
+  renderTracks(await window.api.getTracks());
+  djSets = await window.api.getSets();
+  setStatus(`Restored ${result.tracks} track${result.tracks !== 1 ? 's' : ''} from backup.`, 'ok');
+  return true;
+}
+
+// A tracks.json that won't parse shows up as an empty library; offer the
+// newest readable backup straight away.
+async function checkLibraryHealth() {
+  const { damaged, backups } = await window.api.listBackups();
+  if (!damaged) return;
+  const newest = backups.find(b => b.ok);
+  if (newest && confirm(
+    `Your library file couldn't be read (${damaged}).\n\n` +
+    `Restore the backup from ${new Date(newest.createdAt).toLocaleString()} (${newest.tracks} tracks)?`)) {
+    await restoreBackup(newest.name);
+    return;
+  }
+  setStatus('Your library file is damaged and changes won\'t be saved. Open ⚙ Settings → Restore from backup.', 'error');
+}
+
+// Picks up a stored login. Returns false when there is none, or when it's
+// still locked behind the secrets passphrase.
+async function resumeSession() {
+  const auth = await window.api.getAuth();
+  if (!auth.hasRefreshToken || auth.locked) return false;
+  const result = await window.api.refreshToken();
+  if (!result.accessToken) return false;
+  accessToken = result.accessToken;
+  tokenExpiry = result.tokenExpiry;
+  try { const me = await getMe(); userDisplayName = me?.display_name || me?.id || null; } catch { /* ignore */ }
+  renderBarLoggedIn(userDisplayName);
+  initPlayer(accessToken);
+  startPolling();
+  return true;
 }
 
 // ── Init ──────────────────────────────────────────────────────────────────────
@@ -725,26 +3848,40 @@ function setupSettings() {
 (async () => {
   setupDrop();
   setupSettings();
+  setupBackups();
   setupLibraryBrowser();
-
+  setupSets();
+  setupTapKeys();
+  setupUndoKeys();
+  setupLibraryFilter(await window.api.getTrackSchema());
+  setupSelectionBar();
+  setupHistory();
+
+  prefs = await window.api.getPrefs();
+  setupSuggestions();
+  setupTimedCut();
+  setupExport();
+  setupImport();
+  setupLibraryRefresh();
+  setupLocalAudio();
+  await setupSongRequests();
+  setupAudienceDisplay();
+
+  djTags = await window.api.getTags();
+  renderTagFilter();
+  playHistory = await window.api.getHistory();
+  rebuildPlayStats();
   const tracks = await window.api.getTracks();
   renderTracks(tracks);
+  await checkLibraryHealth();
+  djSets = await window.api.getSets();
+  setupQueue();
+  setupSidePanel();
 
-  const auth = await window.api.getAuth();
-  if (auth.hasRefreshToken) {
-    const result = await window.api.refreshToken();
-    if (result.accessToken) {
-      accessToken = result.accessToken;
-      tokenExpiry = result.tokenExpiry;
-      try { const me = await getMe(); userDisplayName = me?.display_name || me?.id || null; } catch { /* ignore */ }
-      renderBarLoggedIn(userDisplayName);
-      initPlayer(accessToken);
-      startPolling();
-      return;
-    }
-  }
+  if (await resumeSession()) return;
 
   renderBarLoggedOut();
   const creds = await window.api.getCredentials();
   if (!creds.clientId) setStatus('Open ⚙ Settings to add your Spotify API credentials first.', 'info');
+  else if (creds.locked) setStatus('Your saved login is locked. Open ⚙ Settings and enter your passphrase.', 'info');
 })();
@@ -0,0 +1,283 @@
+const http = require('http');
+const os = require('os');
+
+// ── Song-request server ───────────────────────────────────────────────────────
+// A small HTTP server for the venue network: one mobile page, a search
+// endpoint and a request endpoint. What to search and what to do with a
+// request are supplied by main.js; this module only deals with HTTP, the
+// local-network check and per-client rate limits.
+
+const BODY_LIMIT = 4 * 1024;
+const LIMITS = {
+  search:  { max: 30, windowMs: 60 * 1000 },        // searches per client per minute
+  request: { max: 3,  windowMs: 10 * 60 * 1000 },   // accepted requests per client per 10 min
+  attempt: { max: 15, windowMs: 10 * 60 * 1000 },   // any submissions, so failed links can't be spammed
+};
+
+let server = null;
+let serverPort = null;
+const hits = new Map();         // `${kind}:${ip}` → recent timestamps, never empty
+
+// Seconds until `ip` may do `kind` again, or 0 if it may now. Drops the
+// client's expired timestamps, and its entry once none are left, so the map
+// only holds clients seen within the window.
+function retryIn(kind, ip) {
+  const { max, windowMs } = LIMITS[kind];
+  const key = `${kind}:${ip}`;
+  const now = Date.now();
+  const recent = (hits.get(key) || []).filter(t => now - t < windowMs);
+  if (recent.length) hits.set(key, recent);
+  else hits.delete(key);
+  return recent.length >= max ? Math.ceil((recent[0] + windowMs - now) / 1000) : 0;
+}
+
+function record(kind, ip) {
+  const key = `${kind}:${ip}`;
+  if (!hits.has(key)) hits.set(key, []);
+  hits.get(key).push(Date.now());
+}
+
+// Loopback, RFC 1918, link-local and IPv6 unique-local addresses
+function isLocalAddress(ip) {
+  return /^(127\.|10\.|192\.168\.|169\.254\.|172\.(1[6-9]|2\d|3[01])\.)/.test(ip) ||
+    ip === '::1' || /^f[cd][0-9a-f]{2}:/i.test(ip) || /^fe80:/i.test(ip);
+}
+
+function clientIp(req) {
+  return (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+}
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+// Rejects with a `status` of 413 as soon as the body passes BODY_LIMIT, and
+// stops reading it
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => {
+      req.pause();
+      reject(Object.assign(new Error('Request too large'), { status: 413 }));
+    };
+    if (Number(req.headers['content-length']) > BODY_LIMIT) { tooLarge(); return; }
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+      if (raw.length > BODY_LIMIT) tooLarge();
+    });
+    req.on('end', () => resolve(raw));
+    req.on('error', reject);
+  });
+}
+
+function tooMany(res, wait) {
+  sendJson(res, 429, { error: `Easy there — try again in ${wait < 60 ? `${wait} s` : `${Math.ceil(wait / 60)} min`}.` },
+    { 'Retry-After': String(wait) });
+}
+
+async function handle(req, res, { search, submit }) {
+  const ip = clientIp(req);
+  if (!isLocalAddress(ip)) { sendJson(res, 403, { error: 'Only available on the local network.' }); return; }
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'GET' && url.pathname === '/') {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store', 'X-Content-Type-Options': 'nosniff' });
+    res.end(PAGE);
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/search') {
+    const wait = retryIn('search', ip);
+    if (wait) { tooMany(res, wait); return; }
+    record('search', ip);
+    sendJson(res, 200, { tracks: search((url.searchParams.get('q') || '').slice(0, 100)) });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/requests') {
+    const wait = Math.max(retryIn('request', ip), retryIn('attempt', ip));
+    if (wait) { tooMany(res, wait); return; }
+    record('attempt', ip);
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (err) {
+      if (err.status === 413) {
+        // The rest of the body is never read, so the connection can't be reused
+        sendJson(res, 413, { error: 'That request is too large.' }, { Connection: 'close' });
+        return;
+      }
+      body = null;
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      sendJson(res, 400, { error: 'Could not read that request.' });
+      return;
+    }
+    const { status = 200, ...result } = await submit({ trackId: body.trackId, link: body.link, name: body.name });
+    if (status === 200 && !result.duplicate) record('request', ip);
+    sendJson(res, status, result);
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+// Addresses dancers can type in, one per network interface
+function lanUrls(port) {
+  return Object.values(os.networkInterfaces()).flat()
+    .filter(a => a && a.family === 'IPv4' && !a.internal)
+    .map(a => `http://${a.address}:${port}/`);
+}
+
+function status() {
+  return { running: !!server, port: serverPort, urls: server ? lanUrls(serverPort) : [] };
+}
+
+function start(port, handlers) {
+  if (server) return Promise.resolve(status());
+  return new Promise((resolve, reject) => {
+    const srv = http.createServer((req, res) => {
+      handle(req, res, handlers).catch(err => {
+        console.error('Request page error:', err);
+        if (!res.headersSent) sendJson(res, 500, { error: 'Something went wrong.' });
+      });
+    });
+    srv.once('error', err => {
+      reject(new Error(err.code === 'EADDRINUSE' ? `Port ${port} is already in use — pick another.`
+        : err.code === 'EACCES' ? `Not allowed to use port ${port} — pick one above 1024.`
+        : err.message));
+    });
+    srv.listen(port, '0.0.0.0', () => {
+      server = srv;
+      serverPort = port;
+      hits.clear();
+      resolve(status());
+    });
+  });
+}
+
+function stop() {
+  if (!server) return Promise.resolve();
+  const srv = server;
+  server = null;
+  serverPort = null;
+  return new Promise(resolve => {
+    srv.close(() => resolve());
+    srv.closeAllConnections?.();
+  });
+}
+
+// The page dancers see. Plain HTML and script, no external resources, since
+// the venue network may have no internet.
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Request a song</title>
+<style>
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #111; color: #e8e0d0;
+    padding: 20px 16px 40px; max-width: 520px; margin: 0 auto; font-size: 15px; }
+  h1 { font-size: 15px; letter-spacing: 0.14em; text-transform: uppercase; color: #c9952a; margin-bottom: 16px; }
+  label { display: block; font-size: 11px; letter-spacing: 0.08em; text-transform: uppercase; color: #8a8070; margin: 14px 0 5px; }
+  input { width: 100%; padding: 11px 12px; border-radius: 8px; border: 1px solid #2a2a2a; background: #1a1a1a;
+    color: #e8e0d0; font-size: 16px; outline: none; }
+  input:focus { border-color: #c9952a; }
+  .row { display: flex; align-items: center; gap: 10px; padding: 10px 0; border-bottom: 1px solid #222; }
+  .info { flex: 1; min-width: 0; }
+  .name { font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  .meta { font-size: 13px; color: #8a8070; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  button { padding: 9px 14px; border-radius: 8px; border: 1px solid #c9952a; background: rgba(201,149,42,0.15);
+    color: #c9952a; font-size: 14px; font-weight: 600; }
+  button:disabled { opacity: 0.4; }
+  .link-row { display: flex; gap: 8px; }
+  #message { margin-top: 16px; padding: 10px 12px; border-radius: 8px; background: #1a1a1a; display: none; }
+  #message.show { display: block; }
+  #message.error { color: #e57373; }
+  .empty { color: #8a8070; font-size: 13px; padding: 10px 0; }
+</style>
+</head>
+<body>
+<h1>♪ Request a song</h1>
+<label for="name">Your name</label>
+<input id="name" maxlength="40" autocomplete="name" placeholder="So the DJ knows who asked">
+<div id="message"></div>
+<label for="q">Search the DJ's library</label>
+<input id="q" type="search" placeholder="Title, artist or album">
+<div id="results"></div>
+<label for="link">…or paste a Spotify link</label>
+<div class="link-row">
+  <input id="link" placeholder="https://open.spotify.com/track/…">
+  <button id="linkBtn">Request</button>
+</div>
+<script>
+  const $ = id => document.getElementById(id);
+  $('name').value = localStorage.getItem('requestName') || '';
+  $('name').addEventListener('change', () => localStorage.setItem('requestName', $('name').value.trim()));
+
+  function show(text, isError) {
+    $('message').textContent = text;
+    $('message').className = 'show' + (isError ? ' error' : '');
+  }
+
+  async function send(payload, btn) {
+    const name = $('name').value.trim();
+    if (!name) { show('Please add your name first.', true); $('name').focus(); return; }
+    localStorage.setItem('requestName', name);
+    if (btn) btn.disabled = true;
+    try {
+      const res = await fetch('/api/requests', {
+        method: 'POST', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...payload, name }),
+      });
+      const data = await res.json();
+      show(data.error || data.message, !!data.error);
+      if (data.error && btn) btn.disabled = false;
+    } catch {
+      show('Could not reach the DJ. Are you on the venue Wi-Fi?', true);
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  const fmt = s => s ? Math.floor(s / 60) + ':' + String(s % 60).padStart(2, '0') : '';
+  let timer = null;
+  $('q').addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+      const q = $('q').value.trim();
+      const list = $('results');
+      if (!q) { list.innerHTML = ''; return; }
+      try {
+        const res = await fetch('/api/search?q=' + encodeURIComponent(q));
+        const data = await res.json();
+        if (data.error) { show(data.error, true); return; }
+        list.innerHTML = data.tracks.length ? '' : '<div class="empty">Nothing found — try a Spotify link.</div>';
+        data.tracks.forEach(t => {
+          const row = document.createElement('div');
+          row.className = 'row';
+          row.innerHTML = '<div class="info"><div class="name"></div><div class="meta"></div></div><button>Request</button>';
+          row.querySelector('.name').textContent = t.name;
+          row.querySelector('.meta').textContent = [t.artist, t.bpm ? t.bpm + ' BPM' : '', fmt(t.duration)].filter(Boolean).join(' · ');
+          const btn = row.querySelector('button');
+          btn.addEventListener('click', () => send({ trackId: t.id }, btn));
+          list.appendChild(row);
+        });
+      } catch {
+        show('Could not reach the DJ. Are you on the venue Wi-Fi?', true);
+      }
+    }, 250);
+  });
+  $('linkBtn').addEventListener('click', () => {
+    const link = $('link').value.trim();
+    if (!link) { $('link').focus(); return; }
+    send({ link }, null);
+    $('link').value = '';
+  });
+</script>
+</body>
+</html>
+`;
+
+module.exports = { start, stop, status };
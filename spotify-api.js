@@ -0,0 +1,197 @@
+const https = require('https');
+
+// ── Spotify Web API client ────────────────────────────────────────────────────
+// The one place main.js talks to Spotify. Every request gets a timeout, and
+// transient failures (network errors, timeouts, 5xx, 429) are retried with
+// exponential backoff, honouring Retry-After on rate limits. Failures come
+// back as SpotifyApiError with a `kind` the UI can act on.
+
+const API_HOST      = 'api.spotify.com';
+const ACCOUNTS_HOST = 'accounts.spotify.com';
+const TIMEOUT_MS    = 15000;   // longest silence on the socket
+const DEADLINE_MS   = 60000;   // longest a whole request may take
+const MAX_RETRIES   = 4;
+const MAX_WAIT_MS   = 30000;   // longer Retry-After waits are reported, not slept through
+
+// Connection failures that mean the request never reached Spotify
+const UNSENT_CODES  = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// kind is one of: 'auth', 'forbidden', 'not-found', 'rate-limit', 'server',
+// 'timeout', 'network', 'bad-response', 'request'
+class SpotifyApiError extends Error {
+  constructor(kind, message, { status = null, retryAfter = null, unsent = false } = {}) {
+    super(message);
+    this.name = 'SpotifyApiError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.unsent = unsent;       // failed before the request went out, so safe to resend
+  }
+
+  get transient() {
+    return ['rate-limit', 'server', 'timeout', 'network'].includes(this.kind);
+  }
+}
+
+function kindForStatus(status) {
+  if (status === 401) return 'auth';
+  if (status === 403) return 'forbidden';
+  if (status === 404) return 'not-found';
+  if (status === 429) return 'rate-limit';
+  if (status >= 500) return 'server';
+  return 'request';
+}
+
+// Human-readable message from either API ({ error: { message } }) or
+// accounts ({ error, error_description }) error bodies
+function errorMessage(data, status) {
+  if (data && typeof data.error === 'object') return data.error.message || `Spotify error ${status}`;
+  if (data && data.error_description) return data.error_description;
+  if (data && typeof data.error === 'string') return data.error;
+  return `Spotify error ${status}`;
+}
+
+// A single HTTPS round trip. Resolves with the parsed body (null when empty),
+// rejects with a SpotifyApiError.
+function send({ hostname, path, method, headers, body }) {
+  return new Promise((_resolve, _reject) => {
+    const deadline = setTimeout(() => {
+      reject(new SpotifyApiError('timeout', 'Spotify took too long to respond.'));
+      req.destroy();
+    }, DEADLINE_MS);
+    const resolve = data => { clearTimeout(deadline); _resolve(data); };
+    const reject  = err  => { clearTimeout(deadline); _reject(err); };
+
+    const req = https.request({ hostname, path, method, headers }, res => {
+      let raw = '';
+      res.on('data', c => (raw += c));
+      // A connection dropped mid-response raises nothing on req and never
+      // ends res; without this the promise would hang for good
+      const dropped = () => reject(new SpotifyApiError('network', 'The connection to Spotify dropped.'));
+      res.on('error', dropped);
+      res.on('close', () => { if (!res.complete) dropped(); });
+      res.on('end', () => {
+        const trimmed = raw.trim();
+        let data = null;
+        if (trimmed) {
+          try {
+            data = JSON.parse(trimmed);
+          } catch {
+            if (res.statusCode < 400) {
+              reject(new SpotifyApiError('bad-response', 'Spotify sent a response that could not be read.', { status: res.statusCode }));
+              return;
+            }
+          }
+        }
+        if (res.statusCode >= 400) {
+          const status = res.statusCode;
+          let kind = kindForStatus(status);
+          // Rejected credentials or refresh tokens come back as 400s
+          if (status === 400 && hostname === ACCOUNTS_HOST && ['invalid_client', 'invalid_grant'].includes(data?.error)) kind = 'auth';
+          const retryAfter = status === 429 ? Number(res.headers['retry-after'] || 1) * 1000 : null;
+          const message = kind === 'rate-limit'
+            ? `Spotify is rate limiting requests. Try again in ${Math.ceil(retryAfter / 1000)} s.`
+            : errorMessage(data, status);
+          reject(new SpotifyApiError(kind, message, { status, retryAfter }));
+          return;
+        }
+        resolve(data);
+      });
+    });
+    req.setTimeout(TIMEOUT_MS, () => {
+      req.destroy(new SpotifyApiError('timeout', 'Spotify took too long to respond.'));
+    });
+    req.on('error', err => {
+      reject(err instanceof SpotifyApiError ? err : new SpotifyApiError('network', `Could not reach Spotify (${err.code || err.message}).`,
+        { unsent: UNSENT_CODES.includes(err.code) }));
+    });
+    if (body != null) req.write(body);
+    req.end();
+  });
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+async function sendWithRetry(options) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send(options);
+    } catch (err) {
+      // A POST or PUT that timed out or failed may still have been carried
+      // out, so only resend it when Spotify turned it away or it never left
+      const safe = options.method === 'GET' || err.kind === 'rate-limit' || err.unsent;
+      if (!err.transient || !safe || attempt >= MAX_RETRIES) throw err;
+      const wait = err.kind === 'rate-limit'
+        ? err.retryAfter
+        : 500 * 2 ** attempt + Math.random() * 250;
+      if (wait > MAX_WAIT_MS) throw err;
+      await sleep(wait);
+    }
+  }
+}
+
+// Web API call. `getToken(force)` supplies the bearer token; on a 401 it is
+// asked once more with force = true so callers can refresh an expired token.
+// `body` is a JSON string. Full `next` URLs from paging objects are accepted.
+async function request(getToken, path, { method = 'GET', body = null } = {}) {
+  path = path.replace(`https://${API_HOST}`, '');
+  const attempt = async force => {
+    const token = await getToken(force);
+    const headers = { Authorization: `Bearer ${token}` };
+    if (body != null) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(body);
+    } else if (method !== 'GET') {
+      headers['Content-Length'] = 0;
+    }
+    return sendWithRetry({ hostname: API_HOST, path, method, headers, body });
+  };
+  try {
+    return await attempt(false);
+  } catch (err) {
+    if (err.kind !== 'auth') throw err;
+    return attempt(true);
+  }
+}
+
+// POST to the accounts token endpoint. `params` are form fields; pass an
+// Authorization header for confidential-client flows.
+function requestToken(params, headers = {}) {
+  const body = new URLSearchParams(params).toString();
+  return sendWithRetry({
+    hostname: ACCOUNTS_HOST,
+    path: '/api/token',
+    method: 'POST',
+    headers: {
+      ...headers,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Content-Length': Buffer.byteLength(body),
+    },
+    body,
+  });
+}
+
+// Client-credentials tokens, cached per client id until a minute before expiry
+const clientTokens = new Map();
+
+async function getClientToken(clientId, clientSecret, force = false) {
+  const cached = clientTokens.get(clientId);
+  if (!force && cached && cached.secret === clientSecret && cached.expires - Date.now() > 60 * 1000) {
+    return cached.token;
+  }
+  const creds = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+  const result = await requestToken({ grant_type: 'client_credentials' }, { Authorization: `Basic ${creds}` });
+  if (!result?.access_token) throw new SpotifyApiError('auth', 'Could not get Spotify token');
+  clientTokens.set(clientId, {
+    token: result.access_token,
+    secret: clientSecret,
+    expires: Date.now() + result.expires_in * 1000,
+  });
+  return result.access_token;
+}
+
+function clearTokenCache() {
+  clientTokens.clear();
+}
+
+module.exports = { SpotifyApiError, request, requestToken, getClientToken, clearTokenCache };